@@ -0,0 +1,79 @@
+// Where's Wally achievements, unlocked by game events.
+//
+// Each achievement is evaluated from the documents written as players play: their
+// scores, their progress on each level, their daily streak and the races they take
+// part in. Unlocked achievements are stored as badges in the `users/{uid}/badges`
+// subcollection, with the `name` and `description` of the achievement.
+
+const ACHIEVEMENTS = {
+  'first-find': {
+    name: 'First find',
+    description: 'Found a character for the first time.',
+  },
+  'speed-run': {
+    name: 'Speed run',
+    description: 'Cleared a scene in under 60 seconds.',
+  },
+  'sharp-eye': {
+    name: 'Sharp eye',
+    description: 'Cleared a scene without a single miss.',
+  },
+  'week-streak': {
+    name: 'Week streak',
+    description: 'Completed the daily challenge 7 days in a row.',
+  },
+  'wizard-hunter': {
+    name: 'Wizard hunter',
+    description: 'Found the Wizard first in a race.',
+  },
+};
+
+// Time under which a clear is a speed run, in milliseconds.
+const SPEED_RUN_TIME = 60000;
+// Number of days in a row of a week streak.
+const WEEK_STREAK_DAYS = 7;
+// Character to find first in a race for the Wizard hunter achievement.
+const WIZARD = 'wizard';
+
+// Returns the achievements unlocked by a score, given the game session of the run.
+function getScoreAchievements(score, session) {
+  const achievements = [];
+  if (score.time < SPEED_RUN_TIME) {
+    achievements.push('speed-run');
+  }
+  // Sessions account for their misses since the anti-cheat rules.
+  const misses = session && session.misses;
+  if (misses && Object.keys(misses).every((character) => !misses[character])) {
+    achievements.push('sharp-eye');
+  }
+  return achievements;
+}
+
+// Returns the achievements unlocked by the progress of a player on a level.
+function getProgressAchievements(progress) {
+  return progress.finds > 0 ? ['first-find'] : [];
+}
+
+// Returns the achievements unlocked by the document of a player.
+function getUserAchievements(user) {
+  const streak = user.dailyStreak;
+  return streak && streak.current >= WEEK_STREAK_DAYS ? ['week-streak'] : [];
+}
+
+// Returns the achievements unlocked by an update of a race, with the uid of the
+// player unlocking each of them.
+function getMatchAchievements(before, after) {
+  const claim = after.claims && after.claims[WIZARD];
+  if (claim && !(before.claims && before.claims[WIZARD])) {
+    return [{uid: claim.uid, achievement: 'wizard-hunter'}];
+  }
+  return [];
+}
+
+module.exports = {
+  ACHIEVEMENTS,
+  getScoreAchievements,
+  getProgressAchievements,
+  getUserAchievements,
+  getMatchAchievements,
+};
@@ -0,0 +1,142 @@
+// Aggregation of the guesses made on Where's Wally levels into click heatmaps and an
+// estimated difficulty, computed by the aggregateLevelStats function.
+//
+// Guesses are logged anonymously by the checkGuess function in the `guessEvents`
+// collection, each with the `levelId`, the `character` picked, the normalized `x` and
+// `y` coordinates, whether it was a `hit` and the time of the guess from the start of
+// the run (`at`, in milliseconds).
+
+// Number of cells on each side of the heatmaps.
+const HEATMAP_SIZE = 32;
+// Median find time and miss rate at which a character counts as hardest to find.
+const HARD_FIND_TIME = 120000;
+const HARD_MISS_RATE = 0.8;
+// Difficulty scores (0-100) under which a level is rated easy, or medium.
+const EASY_SCORE = 34;
+const MEDIUM_SCORE = 67;
+
+// Returns the index of the heatmap cell of the given normalized image coordinates.
+// Cells are stored row by row.
+function getHeatmapCell(x, y) {
+  const column = Math.min(HEATMAP_SIZE - 1, Math.floor(x * HEATMAP_SIZE));
+  const row = Math.min(HEATMAP_SIZE - 1, Math.floor(y * HEATMAP_SIZE));
+  return row * HEATMAP_SIZE + column;
+}
+
+// Returns the median of the values, or null if there are none.
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Returns the difficulty score (0-100) of a level from the stats of its characters:
+// the longer the characters take to find and the more they are missed, the harder.
+function getDifficultyScore(characters) {
+  const names = Object.keys(characters).filter((name) => characters[name].guesses > 0);
+  if (names.length === 0) {
+    return null;
+  }
+  const total = names.reduce((sum, name) => {
+    const stats = characters[name];
+    const findTime = Math.min(1, (stats.medianFindTime || HARD_FIND_TIME) / HARD_FIND_TIME);
+    const missRate = Math.min(1, stats.missRate / HARD_MISS_RATE);
+    return sum + (findTime + missRate) / 2;
+  }, 0);
+  return Math.round((100 * total) / names.length);
+}
+
+// Returns the difficulty rating of a difficulty score, like the `difficulty` of levels.
+function getDifficultyRating(score) {
+  if (score === null) {
+    return null;
+  }
+  if (score < EASY_SCORE) {
+    return 'easy';
+  }
+  return score < MEDIUM_SCORE ? 'medium' : 'hard';
+}
+
+// Returns the running counts of the guesses of a level, before any guess is counted.
+// Only the find times are kept, for their median, so that the guesses can be counted
+// page by page.
+function createGuessCounts() {
+  return {
+    guesses: 0,
+    heatmap: {
+      size: HEATMAP_SIZE,
+      guesses: new Array(HEATMAP_SIZE * HEATMAP_SIZE).fill(0),
+      hits: new Array(HEATMAP_SIZE * HEATMAP_SIZE).fill(0),
+    },
+    characters: {},
+    findTimes: {},
+  };
+}
+
+// Adds the guesses to the running counts of the level.
+function countGuesses(counts, events) {
+  events.forEach((event) => {
+    const cell = getHeatmapCell(event.x, event.y);
+    counts.guesses++;
+    counts.heatmap.guesses[cell]++;
+    const stats = counts.characters[event.character] ||
+        (counts.characters[event.character] = {guesses: 0, misses: 0});
+    stats.guesses++;
+    if (event.hit) {
+      counts.heatmap.hits[cell]++;
+      (counts.findTimes[event.character] = counts.findTimes[event.character] || [])
+          .push(event.at);
+    } else {
+      stats.misses++;
+    }
+  });
+  return counts;
+}
+
+// Returns the stats of a level from the running counts of its guesses:
+//   - `guesses`: the number of guesses.
+//   - `heatmap`: the number of guesses (`guesses`) and of hits (`hits`) in each cell of
+//     a grid of HEATMAP_SIZE by HEATMAP_SIZE cells over the scene.
+//   - `characters`: by character, the number of `guesses` and `misses`, the `missRate`
+//     and the median time to find the character (`medianFindTime`).
+//   - `difficultyScore` and `estimatedDifficulty`: the estimated difficulty of the level.
+function getGuessStats(counts) {
+  const characters = {};
+  Object.keys(counts.characters).forEach((name) => {
+    const stats = counts.characters[name];
+    characters[name] = {
+      guesses: stats.guesses,
+      misses: stats.misses,
+      missRate: stats.misses / stats.guesses,
+      medianFindTime: median(counts.findTimes[name] || []),
+    };
+  });
+  const difficultyScore = getDifficultyScore(characters);
+  return {
+    guesses: counts.guesses,
+    heatmap: counts.heatmap,
+    characters,
+    difficultyScore,
+    estimatedDifficulty: getDifficultyRating(difficultyScore),
+  };
+}
+
+// Aggregates the guesses made on a level into its stats (see getGuessStats).
+function aggregateGuesses(events) {
+  return getGuessStats(countGuesses(createGuessCounts(), events));
+}
+
+module.exports = {
+  HEATMAP_SIZE,
+  getHeatmapCell,
+  median,
+  getDifficultyScore,
+  getDifficultyRating,
+  createGuessCounts,
+  countGuesses,
+  getGuessStats,
+  aggregateGuesses,
+};
@@ -0,0 +1,71 @@
+// Rules against brute-force guessing in Where's Wally game sessions, enforced by the
+// checkGuess function, and in races, enforced by the checkMatchGuess function.
+//
+// Game sessions keep an account of their guesses:
+//   - `recentGuesses`: the times (in milliseconds) of the guesses of the last second,
+//     to limit the number of guesses per second.
+//   - `rateLimited`: the number of guesses rejected by the rate limit.
+//   - `misses`: the number of missed guesses, by character.
+// When a session is completed, these and the time of the run decide whether the run
+// is plausible. Suspicious runs are flagged instead of posted to the leaderboards.
+// Races keep the same account for each player, and a player whose guesses look
+// suspicious can't make any more guesses in the race.
+
+// Maximum number of guesses per second.
+const MAX_GUESSES_PER_SECOND = 3;
+// Number of guesses rejected by the rate limit above which a run is suspicious.
+const MAX_RATE_LIMITED_GUESSES = 10;
+// Number of missed guesses of a character above which a run is suspicious.
+const MAX_MISSES_PER_CHARACTER = 20;
+// Minimum plausible time to find a character, in milliseconds.
+const MIN_TIME_PER_CHARACTER = 1500;
+
+// Returns true if a guess made at `now` exceeds the rate limit, given the times of
+// the recent guesses.
+function isRateLimited(recentGuesses, now) {
+  return recentGuesses.filter((time) => now - time < 1000).length >= MAX_GUESSES_PER_SECOND;
+}
+
+// Returns the times of the recent guesses, including a guess made at `now`.
+function addRecentGuess(recentGuesses, now) {
+  return recentGuesses.filter((time) => now - time < 1000).concat(now);
+}
+
+// Returns the reasons why the account of the guesses of a game session or of a race
+// player looks like cheating, if any.
+function getGuessFlags(account) {
+  const flags = [];
+  const misses = account.misses || {};
+  if (Object.keys(misses).some((character) => misses[character] > MAX_MISSES_PER_CHARACTER)) {
+    flags.push('too-many-misses');
+  }
+  if ((account.rateLimited || 0) > MAX_RATE_LIMITED_GUESSES) {
+    flags.push('rate-limited');
+  }
+  return flags;
+}
+
+// Returns true if finding the given number of characters in the given time, in
+// milliseconds, is implausibly fast.
+function isTooFast(finds, time) {
+  return time < MIN_TIME_PER_CHARACTER * finds;
+}
+
+// Returns the reasons why a completed run looks like cheating, if any, given its game
+// session, its level and its time in milliseconds.
+function getRunFlags(session, level, time) {
+  const flags = isTooFast(level.characters.length, time) ? ['too-fast'] : [];
+  return flags.concat(getGuessFlags(session));
+}
+
+module.exports = {
+  MAX_GUESSES_PER_SECOND,
+  MAX_RATE_LIMITED_GUESSES,
+  MAX_MISSES_PER_CHARACTER,
+  MIN_TIME_PER_CHARACTER,
+  isRateLimited,
+  addRecentGuess,
+  getGuessFlags,
+  isTooFast,
+  getRunFlags,
+};
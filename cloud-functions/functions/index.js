@@ -23,41 +23,1451 @@ const Vision = require('@google-cloud/vision');
 const vision = new Vision.ImageAnnotatorClient();
 const {promisify} = require('util');
 const exec = promisify(require('child_process').exec);
+const execFile = promisify(require('child_process').execFile);
 const path = require('path');
 const os = require('os');
 const fs = require('fs');
+const crypto = require('crypto');
+const {isHit, isNormalizedCoordinate, getCenter} = require('./shared/hit-test');
+const {
+  isRateLimited,
+  addRecentGuess,
+  getGuessFlags,
+  isTooFast,
+  getRunFlags,
+} = require('./anti-cheat');
+const {
+  ACHIEVEMENTS,
+  getScoreAchievements,
+  getProgressAchievements,
+  getUserAchievements,
+  getMatchAchievements,
+} = require('./achievements');
+const {
+  getSubmissionError,
+  getSubmissionLevelId,
+  resolveSubmissionCharacters,
+} = require('./submissions');
+const {createGuessCounts, countGuesses, getGuessStats} = require('./analytics');
+const {TILE_SIZE, getTilePyramid} = require('./shared/tiles');
+const {getResultCardArgs, renderResultPage} = require('./share-cards');
 
 // Adds a message that welcomes new users into the chat.
 exports.addWelcomeMessages = functions.auth.user().onCreate(async (user) => {
   functions.logger.log('A new user signed in for the first time.');
   const fullName = user.displayName || 'Anonymous';
 
-  // Saves the new welcome message into the database
-  // which then displays it in the FriendlyChat clients.
-  await admin.firestore().collection('messages').add({
+  await postBotMessage(`${fullName} signed in for the first time! Welcome!`);
+  functions.logger.log('Welcome message written to database.');
+});
+
+// Saves a message from the Firebase Bot into the database
+// which then displays it in the FriendlyChat clients.
+function postBotMessage(text) {
+  return admin.firestore().collection('messages').add({
     name: 'Firebase Bot',
     profilePicUrl: '/images/firebase-logo.png', // Firebase logo
-    text: `${fullName} signed in for the first time! Welcome!`,
+    text,
     timestamp: admin.firestore.FieldValue.serverTimestamp(),
   });
-  functions.logger.log('Welcome message written to database.');
+}
+
+// Starts a timed Where's Wally game session on the given level. The clock runs
+// on the server so that the time of a run can't be forged by the client. The sessions
+// of players who aren't signed in get a random key, returned with the session id, that
+// their guesses must give.
+exports.startGameSession = functions.https.onCall(async (data, context) => {
+  const levelId = data && data.levelId;
+  if (typeof levelId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'A game session needs a level id.');
+  }
+  const levelSnapshot = await admin.firestore().collection('levels').doc(levelId).get();
+  if (!levelSnapshot.exists) {
+    throw new functions.https.HttpsError('not-found', `Level ${levelId} does not exist.`);
+  }
+  // The scene of the daily challenge can't be looked at before the scored attempt.
+  if (!data.daily && !levelSnapshot.get('tutorial')) {
+    await requireNotDailyChallenge([levelId]);
+  }
+
+  // Players who downloaded the offline pack of the level know where its characters
+  // are, their runs on the level are unranked.
+  const packSnapshot = context.auth ? await getOfflinePackRef(context.auth.uid, levelId).get() :
+    null;
+  const session = {
+    uid: context.auth ? context.auth.uid : null,
+    key: context.auth ? null : crypto.randomBytes(16).toString('hex'),
+    levelId,
+    finds: [],
+    startedAt: admin.firestore.FieldValue.serverTimestamp(),
+    completedAt: null,
+    daily: null,
+    hints: {},
+    penalty: 0,
+    recentGuesses: [],
+    rateLimited: 0,
+    misses: {},
+    unranked: Boolean(packSnapshot && packSnapshot.exists),
+  };
+  const sessionRef = data.daily ?
+      await startDailyChallengeSession(session, context.auth) :
+      await admin.firestore().collection('gameSessions').add(session);
+  functions.logger.log('Game session', sessionRef.id, 'started on level', levelId);
+  return session.key ? {sessionId: sessionRef.id, sessionKey: session.key} :
+    {sessionId: sessionRef.id};
+});
+
+// Returns the id of the UTC day of the given date, e.g. 2021-06-30.
+function getDateId(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Returns the id of the day before the given day.
+function getPreviousDateId(dateId) {
+  return getDateId(new Date(Date.parse(dateId) - 24 * 60 * 60 * 1000));
+}
+
+// Returns the id of the day after the given day.
+function getNextDateId(dateId) {
+  return getDateId(new Date(Date.parse(dateId) + 24 * 60 * 60 * 1000));
+}
+
+// Returns a 32-bit FNV-1a hash of the given text.
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619) >>> 0;
+  }
+  return hash;
+}
+
+// Returns the daily challenge of the given day, picking its scene if it wasn't
+// picked yet. The scene is picked from the level catalogue with a rotation seeded by
+// the date, avoiding the scene of the previous day.
+async function getDailyChallenge(dateId) {
+  const challengeRef = admin.firestore().collection('dailyChallenge').doc(dateId);
+  const challengeSnapshot = await challengeRef.get();
+  if (challengeSnapshot.exists) {
+    return challengeSnapshot.data();
+  }
+
+  const levelsSnapshot = await admin.firestore().collection('levels').orderBy('order').get();
+  // The tutorial isn't part of the rotation.
+  const levels = levelsSnapshot.docs.filter((levelDoc) => !levelDoc.get('tutorial'));
+  if (levels.length === 0) {
+    throw new Error('There are no levels to pick the daily challenge from.');
+  }
+  const previousSnapshot = await admin.firestore().collection('dailyChallenge')
+      .doc(getPreviousDateId(dateId)).get();
+  let index = hashString(dateId) % levels.length;
+  if (levels.length > 1 && previousSnapshot.exists &&
+      levels[index].id === previousSnapshot.get('levelId')) {
+    index = (index + 1) % levels.length;
+  }
+
+  const level = levels[index];
+  const challenge = {
+    date: dateId,
+    levelId: level.id,
+    levelName: level.get('name'),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  await challengeRef.set(challenge);
+  functions.logger.log('Picked level', level.id, 'as the daily challenge of', dateId);
+  return challenge;
+}
+
+// Refuses the given levels if one of them is the scene of today's daily challenge,
+// which is only played as the challenge until the day is over.
+async function requireNotDailyChallenge(levelIds) {
+  const dateId = getDateId(new Date());
+  const challenge = await getDailyChallenge(dateId);
+  if (levelIds.indexOf(challenge.levelId) !== -1) {
+    throw new functions.https.HttpsError('failed-precondition',
+        `Level ${challenge.levelId} is the daily challenge of ${dateId}.`);
+  }
+}
+
+// Picks the scene of the day every midnight UTC.
+exports.pickDailyChallenge = functions.pubsub.schedule('0 0 * * *').timeZone('UTC').onRun(
+    async () => {
+      await getDailyChallenge(getDateId(new Date()));
+    });
+
+// Starts the attempt of a player at today's daily challenge. Players get one scored
+// attempt per day: the id of the session is made of the day and the player's uid, so
+// that it can only be created once.
+async function startDailyChallengeSession(session, auth) {
+  if (!auth) {
+    throw new functions.https.HttpsError('unauthenticated',
+        'The daily challenge is for signed-in players.');
+  }
+  const dateId = getDateId(new Date());
+  const challenge = await getDailyChallenge(dateId);
+  if (challenge.levelId !== session.levelId) {
+    throw new functions.https.HttpsError('failed-precondition',
+        `Level ${session.levelId} is not the daily challenge of ${dateId}.`);
+  }
+
+  const sessionRef = admin.firestore().collection('gameSessions').doc(`daily-${dateId}-${auth.uid}`);
+  try {
+    await sessionRef.create(Object.assign({}, session, {daily: dateId}));
+  } catch (error) {
+    // ALREADY_EXISTS
+    if (error.code === 6) {
+      throw new functions.https.HttpsError('already-exists',
+          `The daily challenge of ${dateId} was already played.`);
+    }
+    throw error;
+  }
+  await admin.firestore().collection('users').doc(auth.uid)
+      .set({lastDailyChallenge: dateId}, {merge: true});
+  return sessionRef;
+}
+
+// Returns the daily streak of a player who completed the daily challenge of the given
+// day, given their previous streak.
+function getNextDailyStreak(streak, dateId) {
+  const previous = streak || {current: 0, best: 0, lastDate: null};
+  if (previous.lastDate === dateId) {
+    return previous;
+  }
+  const current = previous.lastDate === getPreviousDateId(dateId) ? previous.current + 1 : 1;
+  return {current, best: Math.max(previous.best, current), lastDate: dateId};
+}
+
+// Checks whether a Where's Wally guess hits the chosen character. The points of
+// interest can't be read by clients, so this is the only way to validate a guess.
+// Finds are recorded in the game session and, once all the characters of the level
+// are found, the time of the run is posted to the leaderboard. Guesses are rate
+// limited and accounted for, to flag the runs of scripts sweeping the scene. Accepted
+// guesses are recorded in the session, to replay the run.
+exports.checkGuess = functions.https.onCall(async (data, context) => {
+  const {sessionId, sessionKey, character, x, y} = data || {};
+  if (typeof sessionId !== 'string' || typeof character !== 'string' ||
+      !isNormalizedCoordinate(x) || !isNormalizedCoordinate(y)) {
+    throw new functions.https.HttpsError('invalid-argument',
+        'A guess needs a session id, a character and normalized x and y coordinates.');
+  }
+
+  const sessionRef = admin.firestore().collection('gameSessions').doc(sessionId);
+  const session = await getPlayableSession(sessionRef, context.auth, sessionKey);
+  const levelSnapshot = await admin.firestore().collection('levels').doc(session.levelId).get();
+  const level = levelSnapshot.data();
+  // The character is used as a field name of the session, so only the characters of
+  // the level are accepted.
+  if (level.characters.indexOf(character) === -1) {
+    throw new functions.https.HttpsError('invalid-argument',
+        `${character} is not in level ${session.levelId}.`);
+  }
+  if (!await acceptGuess(sessionRef)) {
+    throw new functions.https.HttpsError('resource-exhausted', 'Too many guesses, slow down.');
+  }
+  const center = await findCharacter(session.levelId, level, character, {x, y});
+  // Guesses are timed from the start of the session, in milliseconds.
+  const guess = {at: Date.now() - session.startedAt.toMillis(), x, y, character, hit: center !== null};
+  // The tutorial is left out of the analytics and of the progress of the players.
+  if (!level.tutorial) {
+    await logGuessEvent(session.levelId, guess);
+  }
+  if (!center) {
+    await sessionRef.update(new admin.firestore.FieldPath('misses', character),
+        admin.firestore.FieldValue.increment(1),
+        'guesses', admin.firestore.FieldValue.arrayUnion(guess));
+    if (context.auth && !level.tutorial) {
+      await getProgressRef(context.auth.uid, session.levelId)
+          .set(getProgressUpdate(session.levelId, {guesses: 1, misses: 1}), {merge: true});
+    }
+    return {hit: false};
+  }
+
+  const run = await recordFind(sessionRef, level, guess, context.auth);
+  return {hit: true, x: center.x, y: center.y, completed: run.completed, time: run.time,
+    dailyStreak: run.dailyStreak, flagged: run.flagged, unranked: run.unranked};
+});
+
+// Marks the tutorial as completed for the signed-in player who skipped it, so that
+// it isn't offered again.
+exports.skipTutorial = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  await admin.firestore().collection('users').doc(auth.uid).set(
+      {tutorialCompletedAt: admin.firestore.FieldValue.serverTimestamp()}, {merge: true});
+});
+
+// Returns the reference to the progress of the player on the level. The documents of
+// the `users/{uid}/progress` subcollection track, for each level played:
+//   - `guesses`, `misses`, `finds`: the number of guesses, missed guesses and
+//     characters found.
+//   - `hints`: the number of hints used.
+//   - `completions`: the number of completed runs.
+//   - `bestTime`: the best time of the completed runs, in milliseconds.
+//   - `lastPlayedAt`: when the player last played the level.
+function getProgressRef(uid, levelId) {
+  return admin.firestore().collection('users').doc(uid).collection('progress').doc(levelId);
+}
+
+// Returns the update of a progress document adding the given counts to its counters.
+function getProgressUpdate(levelId, counts) {
+  const update = {levelId, lastPlayedAt: admin.firestore.FieldValue.serverTimestamp()};
+  Object.keys(counts).forEach((name) => {
+    update[name] = admin.firestore.FieldValue.increment(counts[name]);
+  });
+  return update;
+}
+
+// Records a guess in the game session. Returns false if the guess exceeds the rate
+// limit, counting it as rejected.
+function acceptGuess(sessionRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const sessionSnapshot = await transaction.get(sessionRef);
+    const recentGuesses = sessionSnapshot.get('recentGuesses') || [];
+    const now = Date.now();
+    if (isRateLimited(recentGuesses, now)) {
+      transaction.update(sessionRef, {rateLimited: admin.firestore.FieldValue.increment(1)});
+      return false;
+    }
+    transaction.update(sessionRef, {recentGuesses: addRecentGuess(recentGuesses, now)});
+    return true;
+  });
+}
+
+// Returns the game session, checking that it belongs to the player and is still being
+// played. The sessions of players who aren't signed in are checked with their key, as
+// they all have a null uid.
+async function getPlayableSession(sessionRef, auth, sessionKey) {
+  const sessionSnapshot = await sessionRef.get();
+  if (!sessionSnapshot.exists) {
+    throw new functions.https.HttpsError('not-found',
+        `Game session ${sessionRef.id} does not exist.`);
+  }
+  const session = sessionSnapshot.data();
+  if (session.uid !== (auth ? auth.uid : null) ||
+      (session.uid === null && (!session.key || session.key !== sessionKey))) {
+    throw new functions.https.HttpsError('permission-denied',
+        'The game session belongs to another player.');
+  }
+  if (session.completedAt) {
+    throw new functions.https.HttpsError('failed-precondition',
+        'The game session is already completed.');
+  }
+  return session;
+}
+
+// Number of hints a player can get for each character, and the time added to the run
+// for each hint, in milliseconds.
+const MAX_HINTS = 3;
+const HINT_PENALTY = 15000;
+
+// Gives a hint about where a character is: a region of the scene containing the
+// character, shrinking with each hint asked for the character (a quarter of the
+// scene, then a sixteenth...). Regions are computed here, so that the positions of
+// the characters never reach the client. Each hint adds a time penalty to the run.
+exports.getHint = functions.https.onCall(async (data, context) => {
+  const {sessionId, sessionKey, character} = data || {};
+  if (typeof sessionId !== 'string' || typeof character !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument',
+        'A hint needs a session id and a character.');
+  }
+  const sessionRef = admin.firestore().collection('gameSessions').doc(sessionId);
+  const session = await getPlayableSession(sessionRef, context.auth, sessionKey);
+  if (session.finds.some((find) => find.character === character)) {
+    throw new functions.https.HttpsError('failed-precondition', `${character} is already found.`);
+  }
+  const levelSnapshot = await admin.firestore().collection('levels').doc(session.levelId).get();
+  const level = levelSnapshot.data();
+  const pointsSnapshot = await admin.firestore().collection('pointsOfInterest')
+      .where('levelId', '==', session.levelId)
+      .where('character', '==', character)
+      .get();
+  if (pointsSnapshot.empty) {
+    throw new functions.https.HttpsError('not-found',
+        `${character} is not in level ${session.levelId}.`);
+  }
+  // Characters drawn several times are hinted at their first point of interest.
+  const pointDoc = pointsSnapshot.docs.slice().sort((a, b) => a.id.localeCompare(b.id))[0];
+  const center = getCenter(pointDoc.data(), {width: level.width, height: level.height});
+
+  const hintCount = await admin.firestore().runTransaction(async (transaction) => {
+    const sessionSnapshot = await transaction.get(sessionRef);
+    const hints = sessionSnapshot.get('hints') || {};
+    const count = (hints[character] || 0) + 1;
+    if (count > MAX_HINTS) {
+      throw new functions.https.HttpsError('resource-exhausted',
+          `There are no more hints for ${character}.`);
+    }
+    transaction.update(sessionRef, {
+      hints: Object.assign({}, hints, {[character]: count}),
+      penalty: (sessionSnapshot.get('penalty') || 0) + HINT_PENALTY,
+    });
+    return count;
+  });
+  functions.logger.log('Hint', hintCount, 'for', character, 'in game session', sessionId);
+  if (context.auth) {
+    await getProgressRef(context.auth.uid, session.levelId)
+        .set(getProgressUpdate(session.levelId, {hints: 1}), {merge: true});
+  }
+  return {
+    region: getHintRegion(center, hintCount),
+    hintsLeft: MAX_HINTS - hintCount,
+    penalty: HINT_PENALTY,
+  };
+});
+
+// Returns the cell containing the given normalized point, in a grid splitting the
+// scene in 2^level rows and columns.
+function getHintRegion(point, level) {
+  const cells = Math.pow(2, level);
+  return {
+    x: Math.min(cells - 1, Math.floor(point.x * cells)) / cells,
+    y: Math.min(cells - 1, Math.floor(point.y * cells)) / cells,
+    width: 1 / cells,
+    height: 1 / cells,
+  };
+}
+
+// Looks for the character at the given normalized point of the level. Returns the
+// center of the point of interest that was hit, or null if the guess missed. Once
+// found, the position of the character can be revealed to mark it.
+async function findCharacter(levelId, level, character, point) {
+  const imageSize = {width: level.width, height: level.height};
+  const pointsSnapshot = await admin.firestore().collection('pointsOfInterest')
+      .where('levelId', '==', levelId)
+      .where('character', '==', character)
+      .get();
+  const hitDoc = pointsSnapshot.docs.find((doc) => isHit(doc.data(), point, imageSize));
+  functions.logger.log('Guess for', character, 'in level', levelId, hitDoc ? 'hit' : 'missed');
+  return hitDoc ? getCenter(hitDoc.data(), imageSize) : null;
+}
+
+// Maximum number of levels a player can download to play offline, in total.
+const MAX_OFFLINE_LEVELS = 3;
+
+// Returns the reference to the offline pack of a level downloaded by the player.
+function getOfflinePackRef(uid, levelId) {
+  return admin.firestore().collection('users').doc(uid).collection('offlinePacks').doc(levelId);
+}
+
+// Returns the hit regions of the levels a signed-in player chose to play offline.
+// Offline play reveals the regions of these levels to the player's device, against
+// the rule that solutions stay on the server, so packs are only downloaded on request,
+// for a few levels in total: the regions of a downloaded level can't be taken back, so
+// players keep their packs and can download them again, but never more than
+// MAX_OFFLINE_LEVELS levels. Today's daily challenge can't be downloaded. The first
+// download of each level is recorded in `users/{uid}/offlinePacks/{levelId}`, with its
+// `downloadedAt` time, and the runs of the player on the level are unranked from then.
+exports.getOfflinePack = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const levelIds = data && data.levelIds;
+  if (!Array.isArray(levelIds) || levelIds.length === 0 ||
+      levelIds.length > MAX_OFFLINE_LEVELS ||
+      !levelIds.every((levelId) => typeof levelId === 'string' && levelId.length > 0) ||
+      levelIds.some((levelId, index) => levelIds.indexOf(levelId) !== index)) {
+    throw new functions.https.HttpsError('invalid-argument',
+        `An offline pack needs between 1 and ${MAX_OFFLINE_LEVELS} distinct level ids.`);
+  }
+  await requireNotDailyChallenge(levelIds);
+  const pointsSnapshots = await Promise.all(levelIds.map((levelId) =>
+    admin.firestore().collection('pointsOfInterest').where('levelId', '==', levelId).get()));
+  const levels = {};
+  pointsSnapshots.forEach((pointsSnapshot, index) => {
+    if (!pointsSnapshot.empty) {
+      levels[levelIds[index]] = pointsSnapshot.docs.map((pointDoc) => pointDoc.data());
+    }
+  });
+
+  const packsRef = admin.firestore().collection('users').doc(auth.uid).collection('offlinePacks');
+  await admin.firestore().runTransaction(async (transaction) => {
+    const packsSnapshot = await transaction.get(packsRef);
+    const downloadedIds = packsSnapshot.docs.map((packDoc) => packDoc.id);
+    const newIds = Object.keys(levels).filter((levelId) => downloadedIds.indexOf(levelId) === -1);
+    if (downloadedIds.length + newIds.length > MAX_OFFLINE_LEVELS) {
+      throw new functions.https.HttpsError('resource-exhausted',
+          `Only ${MAX_OFFLINE_LEVELS} scenes can be downloaded to play offline.`);
+    }
+    // The runs queued since the first download of a level stay valid.
+    newIds.forEach((levelId) => {
+      transaction.create(packsRef.doc(levelId),
+          {downloadedAt: admin.firestore.FieldValue.serverTimestamp()});
+    });
+  });
+  functions.logger.log('Offline pack of', Object.keys(levels), 'downloaded by', auth.uid);
+  return {levels};
+});
+
+// Maximum number of guesses of an offline run.
+const MAX_OFFLINE_GUESSES = 500;
+
+// Returns true if the value is a guess of an offline run, timed in milliseconds from
+// the start of the run.
+function isOfflineGuess(guess) {
+  return Boolean(guess) && typeof guess.at === 'number' && guess.at >= 0 &&
+      typeof guess.character === 'string' && isNormalizedCoordinate(guess.x) &&
+      isNormalizedCoordinate(guess.y);
+}
+
+// Posts a run played offline, once the player is back online. The guesses of the run
+// are checked again against the points of interest and the run goes through the same
+// rules as the runs played online. As the player's device timed the run and knew where
+// the characters were, the run must have started after the player downloaded the
+// offline pack of the level, and its score goes to the unranked offline leaderboard.
+// Runs have an id made on the player's device, so that a run synced twice is only
+// posted once.
+exports.submitOfflineRun = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const {runId, levelId, guesses} = data || {};
+  if (typeof runId !== 'string' || !runId.match(/^[A-Za-z0-9-]+$/) ||
+      typeof levelId !== 'string' || !Array.isArray(guesses) || guesses.length === 0 ||
+      guesses.length > MAX_OFFLINE_GUESSES || !guesses.every(isOfflineGuess) ||
+      guesses.some((guess, index) => index > 0 && guess.at < guesses[index - 1].at)) {
+    throw new functions.https.HttpsError('invalid-argument',
+        'An offline run needs an id, a level id and the guesses of the run in order.');
+  }
+  const levelSnapshot = await admin.firestore().collection('levels').doc(levelId).get();
+  if (!levelSnapshot.exists) {
+    throw new functions.https.HttpsError('not-found', `Level ${levelId} does not exist.`);
+  }
+  const level = levelSnapshot.data();
+  const imageSize = {width: level.width, height: level.height};
+  const pointsSnapshot = await admin.firestore().collection('pointsOfInterest')
+      .where('levelId', '==', levelId)
+      .get();
+  const points = pointsSnapshot.docs.map((pointDoc) => pointDoc.data());
+  const checkedGuesses = guesses.map(({at, x, y, character}) => ({at, x, y, character,
+    hit: points.some((point) => point.character === character && isHit(point, {x, y}, imageSize)),
+  }));
+
+  // The last guess must be the find completing the run.
+  const lastGuess = checkedGuesses[checkedGuesses.length - 1];
+  const previousGuesses = checkedGuesses.slice(0, -1);
+  const previousFinds = [];
+  previousGuesses.filter((guess) => guess.hit).forEach((guess) => {
+    if (previousFinds.indexOf(guess.character) === -1) {
+      previousFinds.push(guess.character);
+    }
+  });
+  const missing = level.characters.filter((name) => previousFinds.indexOf(name) === -1);
+  if (!lastGuess.hit || missing.length !== 1 || missing[0] !== lastGuess.character) {
+    throw new functions.https.HttpsError('failed-precondition', 'The run is not completed.');
+  }
+
+  const startedAt = Date.now() - lastGuess.at;
+  const packSnapshot = await getOfflinePackRef(auth.uid, levelId).get();
+  if (!packSnapshot.exists || startedAt < packSnapshot.get('downloadedAt').toMillis()) {
+    throw new functions.https.HttpsError('failed-precondition',
+        'The run was not played with an offline pack of the level.');
+  }
+
+  // The guesses are accounted for like in checkGuess, as if the run was played online.
+  const session = {
+    uid: auth.uid,
+    levelId,
+    finds: previousFinds.map((character) => ({character,
+      foundAt: admin.firestore.Timestamp.fromMillis(startedAt +
+          previousGuesses.find((guess) => guess.hit && guess.character === character).at)})),
+    startedAt: admin.firestore.Timestamp.fromMillis(startedAt),
+    completedAt: null,
+    daily: null,
+    hints: {},
+    penalty: 0,
+    recentGuesses: [],
+    rateLimited: 0,
+    misses: {},
+    guesses: previousGuesses,
+    offline: true,
+  };
+  checkedGuesses.forEach((guess) => {
+    if (isRateLimited(session.recentGuesses, guess.at)) {
+      session.rateLimited++;
+    }
+    session.recentGuesses = addRecentGuess(session.recentGuesses, guess.at);
+    if (!guess.hit) {
+      session.misses[guess.character] = (session.misses[guess.character] || 0) + 1;
+    }
+  });
+
+  const sessionRef = admin.firestore().collection('gameSessions')
+      .doc(`offline-${auth.uid}-${runId}`);
+  try {
+    await sessionRef.create(session);
+  } catch (error) {
+    // ALREADY_EXISTS
+    if (error.code === 6) {
+      const existingSession = (await sessionRef.get()).data();
+      return {completed: true, time: existingSession.time,
+        flagged: (existingSession.flags || []).length > 0};
+    }
+    throw error;
+  }
+  await getProgressRef(auth.uid, levelId).set(getProgressUpdate(levelId, {
+    guesses: previousGuesses.length,
+    misses: previousGuesses.filter((guess) => !guess.hit).length,
+    finds: previousFinds.length,
+  }), {merge: true});
+  const run = await recordFind(sessionRef, level, lastGuess, auth);
+  functions.logger.log('Offline run', runId, 'of', auth.uid, 'posted');
+  return {completed: run.completed, time: run.time, flagged: run.flagged};
+});
+
+// Records that the character was found in the game session. If all the characters of
+// the level are found, completes the session and posts its time to the leaderboard, or
+// to the daily leaderboard for a daily challenge, updating the player's daily streak.
+// Runs that look like cheating are flagged and kept aside instead. The find, and the
+// completion of the level, are added to the progress of signed-in players, but on the
+// tutorial. The replay of the runs of signed-in players is kept with their score.
+function recordFind(sessionRef, level, guess, auth) {
+  const character = guess.character;
+  return admin.firestore().runTransaction(async (transaction) => {
+    const sessionSnapshot = await transaction.get(sessionRef);
+    const session = sessionSnapshot.data();
+    // Offline runs, and the runs of players who downloaded the offline pack of the
+    // level, aren't ranked.
+    const unranked = Boolean(session.offline || session.unranked);
+    const run = {completed: false, time: null, dailyStreak: null, flagged: false, unranked};
+    if (session.completedAt) {
+      return Object.assign(run, {completed: true, time: session.time,
+        flagged: (session.flags || []).length > 0});
+    }
+    const userRef = auth ? admin.firestore().collection('users').doc(auth.uid) : null;
+    const userSnapshot = session.daily ? await transaction.get(userRef) : null;
+    const progressRef = auth && !level.tutorial ? getProgressRef(auth.uid, session.levelId) :
+      null;
+    const progressSnapshot = progressRef ? await transaction.get(progressRef) : null;
+
+    const now = admin.firestore.Timestamp.now();
+    const finds = session.finds.slice();
+    const isNewFind = !finds.some((find) => find.character === character);
+    if (isNewFind) {
+      finds.push({character, foundAt: now});
+    }
+    const completed = level.characters.every(
+        (name) => finds.some((find) => find.character === name));
+    const progressCounts = {guesses: 1, finds: isNewFind ? 1 : 0};
+    const guesses = (session.guesses || []).concat(guess);
+    if (!completed) {
+      transaction.update(sessionRef, {finds, guesses});
+      if (progressRef) {
+        transaction.set(progressRef, getProgressUpdate(session.levelId, progressCounts),
+            {merge: true});
+      }
+      return run;
+    }
+
+    // The run ends with the guess completing it. Hints add a time penalty to the run.
+    const time = guess.at + (session.penalty || 0);
+    // Tutorial runs aren't ranked, they mark the tutorial as completed for the player.
+    if (level.tutorial) {
+      transaction.update(sessionRef, {finds, guesses, completedAt: now, time, flags: []});
+      if (auth) {
+        transaction.set(userRef, {tutorialCompletedAt: now}, {merge: true});
+      }
+      return Object.assign(run, {completed: true, time});
+    }
+    const flags = getRunFlags(session, level, time);
+    transaction.update(sessionRef, {finds, guesses, completedAt: now, time, flags});
+    functions.logger.log('Game session', sessionRef.id, 'completed in', time, 'ms');
+    Object.assign(run, {completed: true, time, flagged: flags.length > 0});
+    // Only signed-in players appear on the leaderboard.
+    if (!auth) {
+      return run;
+    }
+    const progressUpdate = getProgressUpdate(session.levelId,
+        Object.assign(progressCounts, {completions: 1}));
+    const bestTime = progressSnapshot.get('bestTime');
+    // Flagged and unranked runs don't count as best times.
+    if (!run.flagged && !unranked && (typeof bestTime !== 'number' || time < bestTime)) {
+      progressUpdate.bestTime = time;
+    }
+    transaction.set(progressRef, progressUpdate, {merge: true});
+    const score = {
+      uid: auth.uid,
+      name: auth.token.name || 'Anonymous',
+      profilePicUrl: auth.token.picture || null,
+      time,
+      penalty: session.penalty || 0,
+      timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    // Replays have the id of their score, which is the id of the game session. The
+    // replays of daily runs show where the characters of the daily challenge are, they
+    // can only be watched once the day is over.
+    const availableAt = session.daily ?
+      admin.firestore.Timestamp.fromMillis(Date.parse(getNextDateId(session.daily))) : now;
+    transaction.set(admin.firestore().collection('replays').doc(sessionRef.id),
+        Object.assign({levelId: session.levelId, daily: session.daily, flagged: run.flagged,
+          availableAt, guesses}, score));
+    score.replay = true;
+    if (run.flagged) {
+      functions.logger.warn('Game session', sessionRef.id, 'flagged:', flags.join(', '));
+      transaction.set(admin.firestore().collection('flaggedRuns').doc(sessionRef.id),
+          Object.assign({levelId: session.levelId, daily: session.daily, flags}, score));
+      return run;
+    }
+    // The clock of offline runs ran on the player's device, and players with the
+    // offline pack of the level know where the characters are: their runs aren't
+    // ranked.
+    if (unranked) {
+      transaction.set(admin.firestore().collection('offlineLeaderboard').doc(sessionRef.id),
+          Object.assign({levelId: session.levelId}, score));
+      return run;
+    }
+    if (!session.daily) {
+      transaction.set(admin.firestore().collection('leaderboard').doc(sessionRef.id),
+          Object.assign({levelId: session.levelId}, score));
+      return run;
+    }
+
+    run.dailyStreak = getNextDailyStreak(userSnapshot.get('dailyStreak'), session.daily);
+    transaction.set(admin.firestore().collection('dailyLeaderboard').doc(sessionRef.id),
+        Object.assign({date: session.daily}, score));
+    transaction.set(userRef, {dailyStreak: run.dailyStreak}, {merge: true});
+    return run;
+  });
+}
+
+// Shares the completed run of a game session: creates a public `results/{resultId}`
+// document, whose page at `/r/{resultId}` unfurls into a card with the time of the run.
+// Only the player of a run posted to the leaderboard can share it, once. Daily runs can
+// only be shared once the day is over, as their players are still playing the scene.
+exports.shareResult = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const {sessionId} = data || {};
+  if (typeof sessionId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'Sharing a run needs its session id.');
+  }
+  const sessionRef = admin.firestore().collection('gameSessions').doc(sessionId);
+  return admin.firestore().runTransaction(async (transaction) => {
+    const sessionSnapshot = await transaction.get(sessionRef);
+    const session = sessionSnapshot.data();
+    if (!sessionSnapshot.exists || session.uid !== auth.uid) {
+      throw new functions.https.HttpsError('permission-denied',
+          'Only the player of a run can share it.');
+    }
+    if (session.resultId) {
+      return {resultId: session.resultId, url: getResultPageUrl(session.resultId)};
+    }
+    const levelSnapshot = await transaction.get(
+        admin.firestore().collection('levels').doc(session.levelId));
+    const level = levelSnapshot.data();
+    if (!session.completedAt || (session.flags || []).length > 0 || session.offline ||
+        session.unranked || level.tutorial) {
+      throw new functions.https.HttpsError('failed-precondition',
+          'Only the runs posted to the leaderboard can be shared.');
+    }
+    if (session.daily && session.daily >= getDateId(new Date())) {
+      throw new functions.https.HttpsError('failed-precondition',
+          'Daily runs can be shared once the day is over.');
+    }
+
+    // Results are public: the characters are only named as in the character catalogue,
+    // with the time they were found at, and never located in the scene.
+    const characterSnapshots = session.finds.length === 0 ? [] : await transaction.getAll(
+        ...session.finds.map((find) =>
+          admin.firestore().collection('characters').doc(find.character)));
+    const finds = session.finds.map((find, index) => ({
+      character: find.character,
+      name: characterSnapshots[index].get('name') || find.character,
+      at: find.foundAt.toMillis() - session.startedAt.toMillis(),
+    }));
+    const leaderboard = session.daily ?
+      admin.firestore().collection('dailyLeaderboard').where('date', '==', session.daily) :
+      admin.firestore().collection('leaderboard').where('levelId', '==', session.levelId);
+    const fasterSnapshot = await transaction.get(
+        leaderboard.where('time', '<', session.time).select());
+    const resultRef = admin.firestore().collection('results').doc();
+    transaction.create(resultRef, {
+      uid: auth.uid,
+      name: auth.token.name || 'Anonymous',
+      profilePicUrl: auth.token.picture || null,
+      levelId: session.levelId,
+      levelName: level.name,
+      imagePath: level.imagePath,
+      width: level.width,
+      height: level.height,
+      time: session.time,
+      penalty: session.penalty || 0,
+      daily: session.daily,
+      finds,
+      rank: fasterSnapshot.size + 1,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.update(sessionRef, {resultId: resultRef.id});
+    return {resultId: resultRef.id, url: getResultPageUrl(resultRef.id)};
+  });
+});
+
+// Returns the PNG image of the share card of the result. Cards are rendered once with
+// ImageMagick, then kept in Cloud Storage at `results/{resultId}.png`.
+async function getResultCard(resultId, result) {
+  const bucket = admin.storage().bucket();
+  const cardFile = bucket.file(`results/${resultId}.png`);
+  const [exists] = await cardFile.exists();
+  if (exists) {
+    const [card] = await cardFile.download();
+    return card;
+  }
+
+  const tempSceneFile = path.join(os.tmpdir(), `${resultId}-${path.basename(result.imagePath)}`);
+  const tempCardFile = path.join(os.tmpdir(), `${resultId}.png`);
+  await bucket.file(result.imagePath).download({destination: tempSceneFile});
+  // The name of the player is passed as an argument, not through a shell.
+  await execFile('convert', getResultCardArgs(result, tempSceneFile, tempCardFile));
+  const card = fs.readFileSync(tempCardFile);
+  await cardFile.save(card, {metadata: {contentType: 'image/png'}});
+  // Deleting the local files to free up disk space.
+  fs.unlinkSync(tempSceneFile);
+  fs.unlinkSync(tempCardFile);
+  functions.logger.log('Rendered the share card of result', resultId);
+  return card;
+}
+
+// Serves the shared results, through the Hosting rewrite of `/r/**`: the page of a
+// result at `/r/{resultId}`, with the meta tags unfurling its link into a card, and the
+// image of the card at `/r/{resultId}/card.png`.
+exports.resultCard = functions.runWith({memory: '1GB'}).https.onRequest(
+    async (request, response) => {
+      const match = request.path.match(/^\/r\/([A-Za-z0-9]+)(\/card\.png)?$/);
+      const resultSnapshot = match ?
+        await admin.firestore().collection('results').doc(match[1]).get() : null;
+      if (!resultSnapshot || !resultSnapshot.exists) {
+        response.status(404).send('This result does not exist.');
+        return;
+      }
+      const result = resultSnapshot.data();
+      // Results don't change, the Hosting CDN can cache them.
+      response.set('Cache-Control', 'public, max-age=3600, s-maxage=86400');
+      if (match[2]) {
+        response.type('png').send(await getResultCard(resultSnapshot.id, result));
+        return;
+      }
+      const pageUrl = getResultPageUrl(resultSnapshot.id);
+      response.type('html').send(renderResultPage(result, {
+        pageUrl,
+        imageUrl: `${pageUrl}/card.png`,
+        appUrl: `${getAppOrigin()}/`,
+      }));
+    });
+
+// Returns the URL of the page of a shared result, on the origin of the web app.
+function getResultPageUrl(resultId) {
+  return `${getAppOrigin()}/r/${resultId}`;
+}
+
+// Returns the origin of the web app, used in the links of the shared results: the
+// `app.url` functions config if set, e.g. for a custom domain, else the Hosting
+// domain of the project. The Host header of the request isn't trusted, as the pages
+// are cached by the Hosting CDN for every player.
+function getAppOrigin() {
+  const appConfig = functions.config().app;
+  const url = appConfig && appConfig.url ? appConfig.url :
+    `https://${process.env.GCLOUD_PROJECT}.web.app`;
+  return url.replace(/\/+$/, '');
+}
+
+// Maximum number of players in a race.
+const MAX_MATCH_PLAYERS = 8;
+
+// Throws unless the caller of a callable function is signed in.
+function requireAuth(context) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'This is for signed-in players.');
+  }
+  return context.auth;
+}
+
+// Returns a player of a race, as stored in the match document.
+function toMatchPlayer(auth) {
+  return {
+    name: auth.token.name || 'Anonymous',
+    profilePicUrl: auth.token.picture || null,
+    finds: 0,
+    lastFindAt: null,
+  };
+}
+
+// Reads the match with the given id in the transaction, checking it exists.
+async function getMatch(transaction, matchRef) {
+  const matchSnapshot = await transaction.get(matchRef);
+  if (!matchSnapshot.exists) {
+    throw new functions.https.HttpsError('not-found', `Match ${matchRef.id} does not exist.`);
+  }
+  return matchSnapshot.data();
+}
+
+// Returns the reference to the match given to a callable function.
+function getMatchRef(data) {
+  const matchId = data && data.matchId;
+  if (typeof matchId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'A match id is needed.');
+  }
+  return admin.firestore().collection('matches').doc(matchId);
+}
+
+// Opens the lobby of a race on the given level. Signed-in players race to find the
+// characters of the level, each character counting for the first player to find it.
+exports.createMatch = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const levelId = data && data.levelId;
+  if (typeof levelId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'A race needs a level id.');
+  }
+  const levelSnapshot = await admin.firestore().collection('levels').doc(levelId).get();
+  if (!levelSnapshot.exists) {
+    throw new functions.https.HttpsError('not-found', `Level ${levelId} does not exist.`);
+  }
+  await requireNotDailyChallenge([levelId]);
+
+  const matchRef = await admin.firestore().collection('matches').add({
+    levelId,
+    levelName: levelSnapshot.get('name'),
+    hostUid: auth.uid,
+    status: 'lobby',
+    players: {[auth.uid]: toMatchPlayer(auth)},
+    claims: {},
+    ranking: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    startedAt: null,
+    finishedAt: null,
+  });
+  functions.logger.log('Match', matchRef.id, 'opened on level', levelId);
+  return {matchId: matchRef.id};
+});
+
+// Adds the caller to the players of a race that hasn't started yet.
+exports.joinMatch = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const matchRef = getMatchRef(data);
+  await admin.firestore().runTransaction(async (transaction) => {
+    const match = await getMatch(transaction, matchRef);
+    if (match.players[auth.uid]) {
+      return;
+    }
+    if (match.status !== 'lobby') {
+      throw new functions.https.HttpsError('failed-precondition', 'The race has already started.');
+    }
+    if (Object.keys(match.players).length >= MAX_MATCH_PLAYERS) {
+      throw new functions.https.HttpsError('resource-exhausted', 'The race is full.');
+    }
+    const players = Object.assign({}, match.players, {[auth.uid]: toMatchPlayer(auth)});
+    transaction.update(matchRef, {players});
+  });
+  return {matchId: matchRef.id};
+});
+
+// Removes the caller from the players of a race that hasn't started yet. The race is
+// cancelled if its host leaves.
+exports.leaveMatch = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const matchRef = getMatchRef(data);
+  await admin.firestore().runTransaction(async (transaction) => {
+    const match = await getMatch(transaction, matchRef);
+    if (match.status !== 'lobby' || !match.players[auth.uid]) {
+      return;
+    }
+    if (match.hostUid === auth.uid) {
+      transaction.update(matchRef, {status: 'cancelled'});
+      return;
+    }
+    const players = Object.assign({}, match.players);
+    delete players[auth.uid];
+    transaction.update(matchRef, {players});
+  });
+});
+
+// Starts a race. Only its host can start it, once another player has joined.
+exports.startMatch = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const matchRef = getMatchRef(data);
+  await admin.firestore().runTransaction(async (transaction) => {
+    const match = await getMatch(transaction, matchRef);
+    if (match.hostUid !== auth.uid) {
+      throw new functions.https.HttpsError('permission-denied', 'Only the host can start the race.');
+    }
+    if (match.status !== 'lobby' || Object.keys(match.players).length < 2) {
+      throw new functions.https.HttpsError('failed-precondition',
+          'A race starts from its lobby, with at least two players.');
+    }
+    // The lobby may have been opened before the level became the daily challenge.
+    await requireNotDailyChallenge([match.levelId]);
+    transaction.update(matchRef, {
+      status: 'playing',
+      startedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+  functions.logger.log('Match', matchRef.id, 'started');
+});
+
+// Checks a guess made during a race. A character found is claimed by the player, and
+// marked for the other players through the match document. Once all the characters
+// are claimed, the race ends and its ranking is posted into the chat. Guesses go
+// through the anti-cheat rules of checkGuess, accounted for in the private
+// `matches/{matchId}/guessAccounts/{uid}` document of the player: they are rate
+// limited, a player whose misses or rate limited guesses look like a sweep of the
+// scene can't guess anymore, and implausibly fast finds are rejected.
+exports.checkMatchGuess = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const matchRef = getMatchRef(data);
+  const {character, x, y} = data;
+  if (typeof character !== 'string' || !isNormalizedCoordinate(x) || !isNormalizedCoordinate(y)) {
+    throw new functions.https.HttpsError('invalid-argument',
+        'A guess needs a character and normalized x and y coordinates.');
+  }
+
+  const matchSnapshot = await matchRef.get();
+  const match = matchSnapshot.data();
+  if (!match || !match.players[auth.uid]) {
+    throw new functions.https.HttpsError('permission-denied', 'You are not racing in this match.');
+  }
+  if (match.status !== 'playing') {
+    throw new functions.https.HttpsError('failed-precondition', 'The race is not running.');
+  }
+  const levelSnapshot = await admin.firestore().collection('levels').doc(match.levelId).get();
+  const level = levelSnapshot.data();
+  if (level.characters.indexOf(character) === -1) {
+    throw new functions.https.HttpsError('invalid-argument',
+        `${character} is not in level ${match.levelId}.`);
+  }
+  if (match.claims[character]) {
+    return {hit: false, claimedBy: match.claims[character].name};
+  }
+
+  const accountRef = matchRef.collection('guessAccounts').doc(auth.uid);
+  if (!await acceptMatchGuess(accountRef)) {
+    throw new functions.https.HttpsError('resource-exhausted', 'Too many guesses, slow down.');
+  }
+  const center = await findCharacter(match.levelId, level, character, {x, y});
+  if (!center) {
+    await accountRef.update(new admin.firestore.FieldPath('misses', character),
+        admin.firestore.FieldValue.increment(1));
+    return {hit: false};
+  }
+  const player = match.players[auth.uid];
+  if (isTooFast(player.finds + 1, Date.now() - match.startedAt.toMillis())) {
+    functions.logger.warn('Too fast find of', character, 'by', auth.uid, 'in match', matchRef.id);
+    throw new functions.https.HttpsError('resource-exhausted', 'Too fast, slow down.');
+  }
+
+  const claim = await claimCharacter(matchRef, level, character, center, auth);
+  if (!claim.claimed) {
+    return {hit: false, claimedBy: claim.claimedBy};
+  }
+  if (claim.ranking) {
+    await postBotMessage(getRankingMessage(match.levelName, claim.ranking));
+  }
+  return {hit: true, x: center.x, y: center.y, finished: Boolean(claim.ranking)};
+});
+
+// Records a guess of a race player in their guess account. Returns false if the guess
+// exceeds the rate limit, counting it as rejected. Throws if the player's guesses
+// already look like cheating.
+function acceptMatchGuess(accountRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const accountSnapshot = await transaction.get(accountRef);
+    const account = accountSnapshot.exists ? accountSnapshot.data() :
+      {recentGuesses: [], rateLimited: 0, misses: {}};
+    const flags = getGuessFlags(account);
+    if (flags.length > 0) {
+      throw new functions.https.HttpsError('permission-denied',
+          'You made too many guesses and can\'t guess anymore in this race.');
+    }
+    const now = Date.now();
+    if (isRateLimited(account.recentGuesses, now)) {
+      transaction.set(accountRef, Object.assign(account, {rateLimited: account.rateLimited + 1}));
+      return false;
+    }
+    transaction.set(accountRef,
+        Object.assign(account, {recentGuesses: addRecentGuess(account.recentGuesses, now)}));
+    return true;
+  });
+}
+
+// Claims the character for the player in the match, unless another player claimed it
+// first. Ends the match once all the characters of the level are claimed, returning
+// its ranking.
+function claimCharacter(matchRef, level, character, center, auth) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const match = await getMatch(transaction, matchRef);
+    if (match.claims[character] || match.status !== 'playing') {
+      const claim = match.claims[character];
+      return {claimed: false, claimedBy: claim ? claim.name : null, ranking: null};
+    }
+
+    const now = admin.firestore.Timestamp.now();
+    const player = match.players[auth.uid];
+    const claims = Object.assign({}, match.claims, {
+      [character]: {uid: auth.uid, name: player.name, x: center.x, y: center.y, foundAt: now},
+    });
+    const players = Object.assign({}, match.players, {
+      [auth.uid]: Object.assign({}, player, {finds: player.finds + 1, lastFindAt: now}),
+    });
+    const finished = level.characters.every((name) => claims[name]);
+    if (!finished) {
+      transaction.update(matchRef, {claims, players});
+      return {claimed: true, ranking: null};
+    }
+
+    const ranking = getRanking(players);
+    transaction.update(matchRef, {claims, players, status: 'finished', finishedAt: now, ranking});
+    functions.logger.log('Match', matchRef.id, 'finished');
+    return {claimed: true, ranking};
+  });
+}
+
+// Ranks the players of a race by the number of characters they found, then by who
+// made their last find first.
+function getRanking(players) {
+  return Object.keys(players)
+      .map((uid) => ({uid, name: players[uid].name, finds: players[uid].finds,
+        lastFindAt: players[uid].lastFindAt}))
+      .sort((a, b) => b.finds - a.finds ||
+          (a.lastFindAt ? a.lastFindAt.toMillis() : 0) -
+          (b.lastFindAt ? b.lastFindAt.toMillis() : 0))
+      .map(({uid, name, finds}) => ({uid, name, finds}));
+}
+
+// Returns the chat message announcing the ranking of a race.
+function getRankingMessage(levelName, ranking) {
+  const places = ranking.map((player, index) => `${index + 1}. ${player.name} (${player.finds})`);
+  return `${ranking[0].name} won the race on ${levelName}! ${places.join(', ')}`
+      .substring(0, 300);
+}
+
+// Unlocks an achievement for the player, storing its badge and announcing it in the
+// chat. The id of the badge is the id of the achievement, so that it is unlocked once.
+async function unlockAchievement(uid, achievementId, playerName) {
+  const achievement = ACHIEVEMENTS[achievementId];
+  const badgeRef = admin.firestore().collection('users').doc(uid)
+      .collection('badges').doc(achievementId);
+  try {
+    await badgeRef.create({
+      name: achievement.name,
+      description: achievement.description,
+      unlockedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    // ALREADY_EXISTS
+    if (error.code === 6) {
+      return;
+    }
+    throw error;
+  }
+  const name = playerName || (await admin.auth().getUser(uid)).displayName || 'Anonymous';
+  await postBotMessage(`${name} unlocked the ${achievement.name} badge! ${achievement.description}`);
+  functions.logger.log('Player', uid, 'unlocked achievement', achievementId);
+}
+
+// Unlocks the achievements newly unlocked by a document change, given the function
+// returning the achievements unlocked by a version of the document.
+function unlockChangeAchievements(change, uid, getAchievements) {
+  if (!change.after.exists) {
+    return null;
+  }
+  const unlockedBefore = change.before.exists ? getAchievements(change.before.data()) : [];
+  return Promise.all(getAchievements(change.after.data())
+      .filter((achievementId) => unlockedBefore.indexOf(achievementId) === -1)
+      .map((achievementId) => unlockAchievement(uid, achievementId)));
+}
+
+// Unlocks the achievements of a run posted to a leaderboard.
+async function unlockScoreAchievements(snapshot) {
+  const score = snapshot.data();
+  // Scores have the id of the game session of their run.
+  const sessionSnapshot = await admin.firestore().collection('gameSessions').doc(snapshot.id).get();
+  const achievements = getScoreAchievements(score, sessionSnapshot.data());
+  await Promise.all(achievements.map(
+      (achievementId) => unlockAchievement(score.uid, achievementId, score.name)));
+}
+
+// Unlocks the achievements of the runs posted to the leaderboard.
+exports.unlockLeaderboardAchievements = functions.firestore.document('leaderboard/{scoreId}')
+    .onCreate(unlockScoreAchievements);
+
+// Unlocks the achievements of the runs posted to the daily leaderboard.
+exports.unlockDailyLeaderboardAchievements = functions.firestore
+    .document('dailyLeaderboard/{scoreId}').onCreate(unlockScoreAchievements);
+
+// Unlocks the achievements of the progress of players.
+exports.unlockProgressAchievements = functions.firestore
+    .document('users/{uid}/progress/{levelId}').onWrite(
+        (change, context) => unlockChangeAchievements(change, context.params.uid,
+            getProgressAchievements));
+
+// Unlocks the achievements of the daily streaks of players.
+exports.unlockStreakAchievements = functions.firestore.document('users/{uid}').onWrite(
+    (change, context) => unlockChangeAchievements(change, context.params.uid,
+        getUserAchievements));
+
+// Unlocks the achievements of the finds made during races.
+exports.unlockRaceAchievements = functions.firestore.document('matches/{matchId}').onUpdate(
+    (change) => {
+      const match = change.after.data();
+      return Promise.all(getMatchAchievements(change.before.data(), match).map(
+          ({uid, achievement}) => unlockAchievement(uid, achievement, match.players[uid].name)));
+    });
+
+// Number of days of guesses aggregated into the stats of the levels, and number of
+// days the guesses are kept, once a TTL policy is set on the `expireAt` field.
+const LEVEL_STATS_DAYS = 30;
+const GUESS_EVENTS_RETENTION_DAYS = 90;
+// Number of guess events read at once when aggregating the stats of a level.
+const GUESS_EVENTS_PAGE_SIZE = 1000;
+
+// Logs a guess for the analytics of the level. Guess events are anonymous: they aren't
+// linked to the player or to the game session.
+function logGuessEvent(levelId, guess) {
+  const expireAt = Date.now() + GUESS_EVENTS_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  return admin.firestore().collection('guessEvents').add(Object.assign({levelId}, guess, {
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expireAt: admin.firestore.Timestamp.fromMillis(expireAt),
+  }));
+}
+
+// Aggregates the guesses of the last days into the stats of each level every night:
+// a heatmap of the guesses over the scene, the miss rate and median find time of each
+// character and the estimated difficulty of the level, in `levelStats/{levelId}`.
+exports.aggregateLevelStats = functions.pubsub.schedule('0 1 * * *').timeZone('UTC').onRun(
+    async () => {
+      const since = admin.firestore.Timestamp.fromMillis(
+          Date.now() - LEVEL_STATS_DAYS * 24 * 60 * 60 * 1000);
+      const levelsSnapshot = await admin.firestore().collection('levels').get();
+      // The levels are aggregated one after the other, to bound the memory used.
+      await levelsSnapshot.docs.reduce((previous, levelDoc) =>
+        previous.then(() => aggregateLevel(levelDoc.id, since)), Promise.resolve());
+    });
+
+// Counts the guesses made on the level since the given time, a page at a time,
+// starting after the given guess event.
+async function countLevelGuesses(levelId, since, counts, lastEventDoc) {
+  let query = admin.firestore().collection('guessEvents')
+      .where('levelId', '==', levelId)
+      .where('createdAt', '>=', since)
+      .orderBy('createdAt')
+      .limit(GUESS_EVENTS_PAGE_SIZE);
+  if (lastEventDoc) {
+    query = query.startAfter(lastEventDoc);
+  }
+  const eventsSnapshot = await query.get();
+  countGuesses(counts, eventsSnapshot.docs.map((eventDoc) => eventDoc.data()));
+  if (eventsSnapshot.size < GUESS_EVENTS_PAGE_SIZE) {
+    return counts;
+  }
+  return countLevelGuesses(levelId, since, counts,
+      eventsSnapshot.docs[eventsSnapshot.size - 1]);
+}
+
+// Aggregates the guesses made on the level since the given time into its stats.
+async function aggregateLevel(levelId, since) {
+  const stats = getGuessStats(await countLevelGuesses(levelId, since, createGuessCounts()));
+  await admin.firestore().collection('levelStats').doc(levelId).set(Object.assign({
+    days: LEVEL_STATS_DAYS,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, stats));
+  functions.logger.log('Aggregated', stats.guesses, 'guesses of level', levelId);
+}
+
+// Submits a scene made by a player for review. The scene image must have been
+// uploaded to `submissions/{uid}/{submissionId}/`; it is checked with SafeSearch
+// first, so that admins only review the scenes that passed it.
+exports.submitScene = functions.https.onCall(async (data, context) => {
+  const auth = requireAuth(context);
+  const scene = data || {};
+  const submissionId = scene.submissionId;
+  if (typeof submissionId !== 'string' || !submissionId.match(/^[A-Za-z0-9]+$/)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A submission id is needed.');
+  }
+  const error = getSubmissionError(scene);
+  if (error) {
+    throw new functions.https.HttpsError('invalid-argument', error);
+  }
+  const characterSnapshots = await admin.firestore().getAll(...scene.characters.map(
+      (character) => admin.firestore().collection('characters').doc(character.id)));
+  const unknown = characterSnapshots.find((snapshot) => !snapshot.exists);
+  if (unknown) {
+    throw new functions.https.HttpsError('invalid-argument',
+        `${unknown.id} isn't in the character catalogue.`);
+  }
+  const imagePath = scene.imagePath;
+  if (typeof imagePath !== 'string' ||
+      path.posix.dirname(imagePath) !== `submissions/${auth.uid}/${submissionId}`) {
+    throw new functions.https.HttpsError('invalid-argument', 'The scene image is invalid.');
+  }
+  const imageFile = admin.storage().bucket().file(imagePath);
+  const [imageExists] = await imageFile.exists();
+  if (!imageExists) {
+    throw new functions.https.HttpsError('failed-precondition',
+        'The scene image has not been uploaded.');
+  }
+
+  const offensive = await isImageOffensive(`gs://${imageFile.bucket.name}/${imagePath}`);
+  const submission = {
+    uid: auth.uid,
+    authorName: auth.token.name || 'Anonymous',
+    name: scene.name.trim(),
+    difficulty: scene.difficulty,
+    imagePath,
+    width: scene.width,
+    height: scene.height,
+    characters: scene.characters.map((character) => ({
+      id: character.id,
+      regions: character.regions,
+    })),
+    status: offensive ? 'rejected' : 'pending',
+    reason: offensive ? 'The image was flagged as inappropriate.' : null,
+    levelId: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    reviewedAt: null,
+  };
+  try {
+    await admin.firestore().collection('submissions').doc(submissionId).create(submission);
+  } catch (createError) {
+    // ALREADY_EXISTS
+    if (createError.code === 6) {
+      throw new functions.https.HttpsError('already-exists',
+          'This scene has already been submitted.');
+    }
+    throw createError;
+  }
+  if (offensive) {
+    // Flagged images are not kept.
+    await imageFile.delete();
+  }
+  functions.logger.log('Scene', submissionId, 'submitted by', auth.uid, 'is', submission.status);
+  return {status: submission.status};
 });
 
-// Checks if uploaded images are flagged as Adult or Violence and if so blurs them.
+// Approves or rejects a submitted scene, for admins. Approved scenes are published
+// to the level catalogue, crediting their author, and announced in the chat. The
+// characters of scenes submitted before the catalogue are resolved by name, and
+// saved with their ids in the approved submission.
+exports.reviewSubmission = functions.https.onCall(async (data, context) => {
+  if (!context.auth || context.auth.token.admin !== true) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins review scenes.');
+  }
+  const submissionId = data && data.submissionId;
+  if (typeof submissionId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'A submission id is needed.');
+  }
+  const submissionRef = admin.firestore().collection('submissions').doc(submissionId);
+  const submissionSnapshot = await submissionRef.get();
+  if (!submissionSnapshot.exists) {
+    throw new functions.https.HttpsError('not-found',
+        `Submission ${submissionId} does not exist.`);
+  }
+  const submission = submissionSnapshot.data();
+  const review = {
+    reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+    reviewedBy: context.auth.uid,
+  };
+
+  if (!data.approved) {
+    const reason = typeof data.reason === 'string' ? data.reason.substring(0, 300) : null;
+    await admin.firestore().runTransaction(async (transaction) => {
+      await getPendingSubmission(transaction, submissionRef);
+      transaction.update(submissionRef,
+          Object.assign({status: 'rejected', reason: reason || null}, review));
+    });
+    functions.logger.log('Scene', submissionId, 'rejected by', context.auth.uid);
+    return {status: 'rejected'};
+  }
+
+  const characters = await getSubmissionCharacters(submission);
+  const unresolved = submission.characters.filter((character, index) => !characters[index].id);
+  if (unresolved.length > 0) {
+    throw new functions.https.HttpsError('failed-precondition',
+        `${unresolved.map(({name}) => name).join(', ')} must be added to the character ` +
+        'catalogue before approving the scene.');
+  }
+
+  // The image is copied next to the images of the other levels, as levels are
+  // readable by anyone but submissions are not.
+  const levelId = getSubmissionLevelId(submission.name, submissionId);
+  const imagePath = `levels/${levelId}/${path.posix.basename(submission.imagePath)}`;
+  await admin.storage().bucket().file(submission.imagePath).copy(imagePath);
+
+  const lastLevelSnapshot = await admin.firestore().collection('levels')
+      .orderBy('order', 'desc').limit(1).get();
+  const order = lastLevelSnapshot.empty ? 1 : lastLevelSnapshot.docs[0].get('order') + 1;
+  await admin.firestore().runTransaction(async (transaction) => {
+    await getPendingSubmission(transaction, submissionRef);
+    transaction.set(admin.firestore().collection('levels').doc(levelId), {
+      name: submission.name,
+      imagePath,
+      width: submission.width,
+      height: submission.height,
+      difficulty: submission.difficulty,
+      order,
+      characters: characters.map(({id}) => id),
+      author: {uid: submission.uid, name: submission.authorName},
+    });
+    const imageSize = {width: submission.width, height: submission.height};
+    characters.forEach((character) => {
+      character.regions.forEach((region, index) => {
+        const pointId = `${levelId}-${character.id}-${index}`;
+        const center = getCenter({region}, imageSize);
+        transaction.set(admin.firestore().collection('pointsOfInterest').doc(pointId), {
+          levelId,
+          character: character.id,
+          x: center.x,
+          y: center.y,
+          region,
+        });
+      });
+    });
+    transaction.update(submissionRef,
+        Object.assign({status: 'approved', reason: null, levelId, characters}, review));
+  });
+  await postBotMessage(`New scene: ${submission.name} by ${submission.authorName}! Can you find ` +
+      'everyone?');
+  functions.logger.log('Scene', submissionId, 'published as level', levelId);
+  return {status: 'approved', levelId};
+});
+
+// Returns the characters of a submission with their ids in the catalogue. The catalogue
+// is only read for the scenes submitted before it, which name their characters.
+async function getSubmissionCharacters(submission) {
+  if (submission.characters.every((character) => character.id)) {
+    return submission.characters;
+  }
+  const catalogueSnapshot = await admin.firestore().collection('characters').get();
+  const catalogue = catalogueSnapshot.docs.map((doc) => Object.assign({id: doc.id}, doc.data()));
+  return resolveSubmissionCharacters(submission.characters, catalogue);
+}
+
+// Reads the submission with the given reference in the transaction, checking it is
+// waiting for review.
+async function getPendingSubmission(transaction, submissionRef) {
+  const submissionSnapshot = await transaction.get(submissionRef);
+  if (submissionSnapshot.get('status') !== 'pending') {
+    throw new functions.https.HttpsError('failed-precondition',
+        `Submission ${submissionRef.id} has already been reviewed.`);
+  }
+  return submissionSnapshot.data();
+}
+
+// Returns true if the image at the given Cloud Storage URI is flagged as Adult or
+// Violence by the Cloud Vision API.
+async function isImageOffensive(imageUri) {
+  const batchAnnotateImagesResponse = await vision.safeSearchDetection(imageUri);
+  const safeSearchResult = batchAnnotateImagesResponse[0].safeSearchAnnotation;
+  const Likelihood = Vision.protos.google.cloud.vision.v1.Likelihood;
+  return Likelihood[safeSearchResult.adult] >= Likelihood.LIKELY ||
+      Likelihood[safeSearchResult.violence] >= Likelihood.LIKELY;
+}
+
+// Checks if the images uploaded to the chat are flagged as Adult or Violence and if so
+// blurs them.
 exports.blurOffensiveImages = functions.runWith({memory: '2GB'}).storage.object().onFinalize(
     async (object) => {
+      if (!isChatImage(object.name)) {
+        return null;
+      }
       const imageUri = `gs://${object.bucket}/${object.name}`;
 
       // Check the image content using the Cloud Vision API.
-      const batchAnnotateImagesResponse = await vision.safeSearchDetection(imageUri);
-      const safeSearchResult = batchAnnotateImagesResponse[0].safeSearchAnnotation;
-      const Likelihood = Vision.protos.google.cloud.vision.v1.Likelihood;
-      if (Likelihood[safeSearchResult.adult] >= Likelihood.LIKELY ||
-          Likelihood[safeSearchResult.violence] >= Likelihood.LIKELY) {
+      if (await isImageOffensive(imageUri)) {
         functions.logger.log('The image', object.name, 'has been detected as inappropriate.');
         return blurImage(object.name);
       }
       functions.logger.log('The image', object.name, 'has been detected as OK.');
+      return null;
     });
 
 // Blurs the given image located in the given bucket using ImageMagick.
@@ -83,6 +1493,103 @@ async function blurImage(filePath) {
   functions.logger.log('Marked the image as moderated in the database.');
 }
 
+// Folders of the bucket that don't hold chat images: submitted scenes are checked by
+// the submitScene function, and the other images are made by the admins or the
+// functions.
+const NON_CHAT_FOLDERS = ['levels', 'submissions', 'characters', 'results'];
+
+// Returns true if the file is an image posted in the chat, uploaded to
+// `{userId}/{messageId}/{fileName}`.
+function isChatImage(filePath) {
+  const segments = filePath.split('/');
+  return segments.length === 3 && NON_CHAT_FOLDERS.indexOf(segments[0]) === -1;
+}
+
+// Cuts the scene images uploaded to `levels/{levelId}/` into a tile pyramid using
+// ImageMagick, so that players only load the tiles in view at the resolution of their
+// zoom. The tiles replace those of the previous image of the level, and are described
+// in the `sceneTiles/{levelId}` document.
+exports.generateSceneTiles = functions.runWith({memory: '2GB', timeoutSeconds: 300})
+    .storage.object().onFinalize(async (object) => {
+      const match = object.name.match(/^levels\/([^/]+)\/[^/]+$/);
+      if (!match || !object.contentType || !object.contentType.startsWith('image/')) {
+        return null;
+      }
+      const levelId = match[1];
+      const tilesPath = `levels/${levelId}/tiles`;
+      const bucket = admin.storage().bucket(object.bucket);
+      // The name of the uploaded file comes from the player for the submitted scenes, so
+      // it isn't used for the local file, and ImageMagick is run without a shell.
+      const tempLocalFile = path.join(os.tmpdir(), `${levelId}-scene`);
+      const tempTilesDir = path.join(os.tmpdir(), `${levelId}-tiles`);
+
+      // Players get the full image while the tiles are being replaced.
+      const tilesRef = admin.firestore().collection('sceneTiles').doc(levelId);
+      let width;
+      let height;
+      let pyramid;
+      // The tiles left by a failed run on this instance must not be uploaded.
+      removeLocalFiles(tempLocalFile, tempTilesDir);
+      try {
+        await bucket.file(object.name).download({destination: tempLocalFile});
+        const {stdout} = await execFile('convert',
+            [tempLocalFile, '-auto-orient', '-format', '%w %h', 'info:']);
+        [width, height] = stdout.trim().split(' ').map(Number);
+        pyramid = getTilePyramid(width, height);
+        await tilesRef.delete();
+        await bucket.deleteFiles({prefix: `${tilesPath}/`});
+
+        // The zoom levels are cut one after the other, as ImageMagick holds the whole
+        // image in memory.
+        await pyramid.reduce((previous, level) => previous.then(() =>
+          cutZoomLevel(bucket, tempLocalFile, path.join(tempTilesDir, String(level.zoomLevel)),
+              `${tilesPath}/${level.zoomLevel}`, level)), Promise.resolve());
+        functions.logger.log('Cut', object.name, 'into', pyramid.length, 'zoom levels of tiles');
+      } finally {
+        // Deleting the local files to free up disk space.
+        removeLocalFiles(tempLocalFile, tempTilesDir);
+      }
+
+      await tilesRef.set({
+        imagePath: object.name,
+        bucket: object.bucket,
+        tilesPath,
+        width,
+        height,
+        tileSize: TILE_SIZE,
+        maxZoomLevel: pyramid.length - 1,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return null;
+    });
+
+// Scales the scene image to the zoom level and cuts it into tiles in the local
+// directory, then uploads them to Cloud Storage.
+async function cutZoomLevel(bucket, imageFile, levelDir, levelPath, level) {
+  fs.mkdirSync(levelDir, {recursive: true});
+  await execFile('convert', [imageFile, '-auto-orient', '-background', 'white',
+    '-flatten', '-resize', `${level.width}x${level.height}!`,
+    '-crop', `${TILE_SIZE}x${TILE_SIZE}`,
+    '-set', 'filename:tile', `%[fx:page.x/${TILE_SIZE}]_%[fx:page.y/${TILE_SIZE}]`,
+    '+repage', '+adjoin', '-quality', '85', `${levelDir}/%[filename:tile].jpg`]);
+  await Promise.all(fs.readdirSync(levelDir).map((fileName) => bucket.upload(
+      path.join(levelDir, fileName), {
+        destination: `${levelPath}/${fileName}`,
+        metadata: {contentType: 'image/jpeg', cacheControl: 'public, max-age=31536000'},
+      })));
+}
+
+// Deletes the given local files and directories, if they exist.
+function removeLocalFiles(...paths) {
+  paths.filter((localPath) => fs.existsSync(localPath)).forEach((localPath) => {
+    if (fs.statSync(localPath).isDirectory()) {
+      fs.rmdirSync(localPath, {recursive: true});
+    } else {
+      fs.unlinkSync(localPath);
+    }
+  });
+}
+
 // Sends a notifications to all users when a new message is posted.
 exports.sendNotifications = functions.firestore.document('messages/{messageId}').onCreate(
   async (snapshot) => {
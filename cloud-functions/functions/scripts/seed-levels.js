@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// Seeds the Where's Wally character catalogue, levels and points of interest into
+// Cloud Firestore.
+//
+// Characters, levels and points of interest are upserted by stable ids, so the script
+// can be run any number of times. It reports what it creates, updates or deletes.
+//
+// Usage:
+//   node scripts/seed-levels.js [--project <projectId>] [--file <seedFile>]
+//       [--prune] [--dry-run] [--check]
+//
+//   --project   Project to seed. Defaults to the project of the environment.
+//   --file      Seed file. Defaults to seed/levels.json.
+//   --prune     Delete the points of interest of the seeded levels that aren't in the
+//               seed file, and the points of interest that aren't linked to a level.
+//   --dry-run   Report the changes without writing them.
+//   --check     Like --dry-run, but exits with an error if there are changes. Useful
+//               to check in CI that a database is up to date.
+//
+// To seed the Firestore emulator, set FIRESTORE_EMULATOR_HOST, for example:
+//   firebase emulators:exec --only firestore "npm --prefix functions run seed"
+
+const admin = require('firebase-admin');
+const path = require('path');
+const fs = require('fs');
+const {toId} = require('../shared/ids');
+
+// Parses the command line arguments.
+function parseArgs(argv) {
+  const options = {
+    project: null,
+    file: path.join(__dirname, '..', 'seed', 'levels.json'),
+    prune: false,
+    dryRun: false,
+    check: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--project':
+        options.project = argv[++i];
+        break;
+      case '--file':
+        options.file = path.resolve(argv[++i]);
+        break;
+      case '--prune':
+        options.prune = true;
+        break;
+      case '--dry-run':
+        options.dryRun = true;
+        break;
+      case '--check':
+        options.check = true;
+        options.dryRun = true;
+        break;
+      default:
+        throw new Error(`Unknown argument ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// Returns the documents described by the seed file, keyed by their path.
+function getSeedDocuments(seed) {
+  const documents = new Map();
+  (seed.characters || []).forEach((character) => {
+    const data = Object.assign({}, character);
+    delete data.id;
+    documents.set(`characters/${character.id}`, data);
+  });
+  seed.levels.forEach((level) => {
+    const characters = [];
+    const indexes = {};
+    level.pointsOfInterest.forEach((point) => {
+      // Points of interest refer to their character by its id in the catalogue.
+      if (!documents.has(`characters/${point.character}`)) {
+        throw new Error(`${point.character} of level ${level.id} isn't in the catalogue.`);
+      }
+      if (characters.indexOf(point.character) === -1) {
+        characters.push(point.character);
+      }
+      // Ids follow the ones given by the level editor.
+      const index = indexes[point.character] || 0;
+      indexes[point.character] = index + 1;
+      const pointId = point.id || `${level.id}-${toId(point.character)}-${index}`;
+      const data = Object.assign({levelId: level.id}, point);
+      delete data.id;
+      documents.set(`pointsOfInterest/${pointId}`, data);
+    });
+
+    const levelData = {
+      name: level.name,
+      imagePath: level.imagePath,
+      width: level.width,
+      height: level.height,
+      difficulty: level.difficulty,
+      order: level.order,
+      characters: level.characters || characters,
+    };
+    // The tutorial level is played once by new players, not listed with the others.
+    if (level.tutorial) {
+      levelData.tutorial = true;
+    }
+    documents.set(`levels/${level.id}`, levelData);
+  });
+  return documents;
+}
+
+// Serializes a value to JSON with sorted object keys, as Firestore doesn't keep the
+// order of map fields.
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+        .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+        .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Returns the fields whose values differ between two documents.
+function getChangedFields(existing, data) {
+  const fields = new Set(Object.keys(existing).concat(Object.keys(data)));
+  return Array.from(fields).filter(
+      (field) => stableStringify(existing[field]) !== stableStringify(data[field]));
+}
+
+// Returns the changes needed to bring the database up to date with the seed.
+async function getChanges(firestore, seed, options) {
+  const documents = getSeedDocuments(seed);
+  const changes = [];
+
+  const snapshots = await firestore.getAll(
+      ...Array.from(documents.keys()).map((docPath) => firestore.doc(docPath)));
+  snapshots.forEach((snapshot) => {
+    const data = documents.get(snapshot.ref.path);
+    if (!snapshot.exists) {
+      changes.push({type: 'create', path: snapshot.ref.path, data});
+      return;
+    }
+    const changedFields = getChangedFields(snapshot.data(), data);
+    if (changedFields.length > 0) {
+      changes.push({type: 'update', path: snapshot.ref.path, data, changedFields});
+    }
+  });
+
+  if (options.prune) {
+    const levelIds = seed.levels.map((level) => level.id);
+    const pointsSnapshot = await firestore.collection('pointsOfInterest').get();
+    pointsSnapshot.docs
+        .filter((pointDoc) => !documents.has(pointDoc.ref.path))
+        .filter((pointDoc) => !pointDoc.get('levelId') ||
+            levelIds.indexOf(pointDoc.get('levelId')) !== -1)
+        .forEach((pointDoc) => changes.push({type: 'delete', path: pointDoc.ref.path}));
+  }
+  return changes;
+}
+
+// Prints a change.
+function reportChange(change) {
+  switch (change.type) {
+    case 'create':
+      console.log(`+ ${change.path}`);
+      break;
+    case 'update':
+      console.log(`~ ${change.path} (${change.changedFields.join(', ')})`);
+      break;
+    case 'delete':
+      console.log(`- ${change.path}`);
+      break;
+  }
+}
+
+// Writes the changes, in batches of at most 500 writes.
+async function applyChanges(firestore, changes) {
+  const BATCH_SIZE = 500;
+  const batches = [];
+  for (let i = 0; i < changes.length; i += BATCH_SIZE) {
+    const batch = firestore.batch();
+    changes.slice(i, i + BATCH_SIZE).forEach((change) => {
+      const ref = firestore.doc(change.path);
+      if (change.type === 'delete') {
+        batch.delete(ref);
+      } else {
+        batch.set(ref, change.data);
+      }
+    });
+    batches.push(batch.commit());
+  }
+  await Promise.all(batches);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  admin.initializeApp(options.project ? {projectId: options.project} : undefined);
+  const firestore = admin.firestore();
+  const seed = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+
+  const target = process.env.FIRESTORE_EMULATOR_HOST ?
+      `the Firestore emulator at ${process.env.FIRESTORE_EMULATOR_HOST}` :
+      `project ${options.project || process.env.GCLOUD_PROJECT || '(default)'}`;
+  console.log(`Seeding ${options.file} into ${target}`);
+  const changes = await getChanges(firestore, seed, options);
+  changes.forEach(reportChange);
+  console.log(`${changes.length} change(s).`);
+
+  if (options.check && changes.length > 0) {
+    throw new Error('The database is not up to date with the seed file.');
+  }
+  if (!options.dryRun && changes.length > 0) {
+    await applyChanges(firestore, changes);
+    console.log('Changes written.');
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,113 @@
+// Share cards of the results of Where's Wally runs, rendered by the resultCard
+// function for the links shared by players.
+//
+// Each document of the `results` collection is a completed run shared by its player,
+// readable by anyone: the player's `uid`, `name` and `profilePicUrl`, the `levelId`,
+// `levelName`, `imagePath`, `width` and `height` of the scene, the `time` of the run
+// with its `penalty`, the day of the daily challenge (`daily`) for daily runs, its `rank`
+// on the leaderboard when it was shared, and the `finds`, each with the id and `name`
+// of the `character` and the time it was found at (`at`, in milliseconds). Results
+// never say where the characters are.
+
+// Size of the share card images, as recommended for Open Graph images.
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+// Height of the banner at the bottom of the card.
+const BANNER_HEIGHT = 130;
+
+// Formats a time in milliseconds like the game does, e.g. 1:05.3.
+function formatTime(time) {
+  const minutes = Math.floor(time / 60000);
+  const seconds = Math.floor((time % 60000) / 1000);
+  const tenths = Math.floor((time % 1000) / 100);
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths}`;
+}
+
+// Returns the title of the shared result.
+function getResultTitle(result) {
+  const time = formatTime(result.time);
+  return result.daily ?
+    `${result.name} completed the daily challenge in ${time}` :
+    `${result.name} found everyone in ${result.levelName} in ${time}`;
+}
+
+// Returns the description of the shared result.
+function getResultDescription(result) {
+  const characters = result.finds.map((find) => find.name || find.character).join(', ');
+  const rank = result.rank ? `, ranked #${result.rank}` : '';
+  return `${characters} spotted in ${result.levelName}${rank}. Can you find them faster?`;
+}
+
+// Escapes the text of an ImageMagick annotation, which would otherwise expand escapes
+// and `%` properties, or read a file for text starting with `@`.
+function toAnnotationText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/%/g, '%%').replace(/^@/, '\\@');
+}
+
+// Returns the arguments of the ImageMagick `convert` command rendering the card of
+// the result from the scene image `input` to the PNG image `output`: the scene, with a
+// banner with the time of the run and the characters found.
+function getResultCardArgs(result, input, output) {
+  return [input, '-auto-orient',
+    '-resize', `${CARD_WIDTH}x${CARD_HEIGHT}^`,
+    '-gravity', 'center', '-extent', `${CARD_WIDTH}x${CARD_HEIGHT}`, '-gravity', 'NorthWest',
+    '-fill', 'rgba(0,0,0,0.7)',
+    '-draw', `rectangle 0,${CARD_HEIGHT - BANNER_HEIGHT} ${CARD_WIDTH},${CARD_HEIGHT}`,
+    '-fill', 'white', '-pointsize', '40',
+    '-annotate', `+40+${CARD_HEIGHT - 75}`, toAnnotationText(getResultTitle(result)),
+    '-fill', '#ffcc80', '-pointsize', '28',
+    '-annotate', `+40+${CARD_HEIGHT - 30}`,
+    toAnnotationText(`Where's Wally? - ${getResultDescription(result)}`),
+    `png:${output}`];
+}
+
+// Escapes text for HTML content and attribute values.
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Returns the HTML page of the shared result, with the meta tags unfurling its link
+// into a card, which sends visitors on to the game at `appUrl`.
+function renderResultPage(result, {pageUrl, imageUrl, appUrl}) {
+  const title = escapeHtml(getResultTitle(result));
+  const description = escapeHtml(getResultDescription(result));
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${title}</title>
+    <meta name="description" content="${description}" />
+    <meta property="og:type" content="website" />
+    <meta property="og:site_name" content="Where's Wally" />
+    <meta property="og:url" content="${escapeHtml(pageUrl)}" />
+    <meta property="og:title" content="${title}" />
+    <meta property="og:description" content="${description}" />
+    <meta property="og:image" content="${escapeHtml(imageUrl)}" />
+    <meta property="og:image:width" content="${CARD_WIDTH}" />
+    <meta property="og:image:height" content="${CARD_HEIGHT}" />
+    <meta name="twitter:card" content="summary_large_image" />
+    <meta name="twitter:title" content="${title}" />
+    <meta name="twitter:description" content="${description}" />
+    <meta name="twitter:image" content="${escapeHtml(imageUrl)}" />
+    <meta http-equiv="refresh" content="0; url=${escapeHtml(appUrl)}" />
+  </head>
+  <body>
+    <p><a href="${escapeHtml(appUrl)}">${title}. ${description}</a></p>
+    <img src="${escapeHtml(imageUrl)}" alt="${title}" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" />
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  formatTime,
+  getResultTitle,
+  getResultDescription,
+  toAnnotationText,
+  getResultCardArgs,
+  escapeHtml,
+  renderResultPage,
+};
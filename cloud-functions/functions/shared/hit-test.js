@@ -0,0 +1,113 @@
+// Hit testing of Where's Wally guesses against points of interest.
+//
+// Guesses and points of interest use normalized image coordinates: `x` and `y`
+// are fractions (0-1) of the natural width and height of the scene image.
+//
+// A point of interest can define the hit region of its character with a
+// `region` field, either:
+//   - a polygon: `{type: 'polygon', points: [{x, y}, ...]}`.
+//   - an ellipse: `{type: 'ellipse', cx, cy, rx, ry, rotation}`, where `rx` is a
+//     fraction of the image width, `ry` a fraction of the image height and the
+//     optional `rotation` is in degrees, clockwise.
+// Points of interest without a region are hit within `radius` (a fraction of
+// the image width, DEFAULT_HIT_RADIUS by default) of their `x` and `y`.
+
+// Default hit radius, as a fraction of the natural image width.
+const DEFAULT_HIT_RADIUS = 0.05;
+
+// Returns the point of interest in normalized image coordinates. Documents
+// saved before coordinates were normalized hold pixel values, which are
+// converted using the natural size of the scene image.
+function toNormalizedPoint(point, imageSize) {
+  if (point.region || (point.x <= 1 && point.y <= 1)) {
+    return point;
+  }
+  return Object.assign({}, point, {
+    x: point.x / imageSize.width,
+    y: point.y / imageSize.height,
+  });
+}
+
+// Returns the distance between two normalized points, expressed as a fraction
+// of the natural image width so that it is not distorted by the aspect ratio.
+function getImageDistance(a, b, imageSize) {
+  const aspectRatio = imageSize.height / imageSize.width;
+  return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow((a.y - b.y) * aspectRatio, 2));
+}
+
+// Returns true if the guess is inside the polygon, using ray casting.
+function isInPolygon(polygon, guess) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > guess.y) !== (b.y > guess.y) &&
+        guess.x < (b.x - a.x) * (guess.y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Returns true if the guess is inside the ellipse. The test is done in image pixels
+// so that the rotation isn't distorted by the aspect ratio of the image.
+function isInEllipse(ellipse, guess, imageSize) {
+  const dx = (guess.x - ellipse.cx) * imageSize.width;
+  const dy = (guess.y - ellipse.cy) * imageSize.height;
+  const angle = -(ellipse.rotation || 0) * Math.PI / 180;
+  const rotatedX = dx * Math.cos(angle) - dy * Math.sin(angle);
+  const rotatedY = dx * Math.sin(angle) + dy * Math.cos(angle);
+  const rx = ellipse.rx * imageSize.width;
+  const ry = ellipse.ry * imageSize.height;
+  return Math.pow(rotatedX / rx, 2) + Math.pow(rotatedY / ry, 2) <= 1;
+}
+
+// Returns true if the guess falls within the hit region of the point of interest.
+function isHit(point, guess, imageSize) {
+  const region = point.region;
+  if (region && region.type === 'polygon') {
+    return isInPolygon(region.points, guess);
+  }
+  if (region && region.type === 'ellipse') {
+    return isInEllipse(region, guess, imageSize);
+  }
+  // Points of interest without a region use the radius model.
+  const normalizedPoint = toNormalizedPoint(point, imageSize);
+  return getImageDistance(normalizedPoint, guess, imageSize) <=
+      (normalizedPoint.radius || DEFAULT_HIT_RADIUS);
+}
+
+// Returns the center of the point of interest in normalized image coordinates,
+// where the character is marked once found.
+function getCenter(point, imageSize) {
+  const region = point.region;
+  if (region && region.type === 'polygon') {
+    const xs = region.points.map((vertex) => vertex.x);
+    const ys = region.points.map((vertex) => vertex.y);
+    return {
+      x: (Math.min.apply(null, xs) + Math.max.apply(null, xs)) / 2,
+      y: (Math.min.apply(null, ys) + Math.max.apply(null, ys)) / 2,
+    };
+  }
+  if (region && region.type === 'ellipse') {
+    return {x: region.cx, y: region.cy};
+  }
+  const normalizedPoint = toNormalizedPoint(point, imageSize);
+  return {x: normalizedPoint.x, y: normalizedPoint.y};
+}
+
+// Returns true if the value is a valid normalized image coordinate.
+function isNormalizedCoordinate(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+module.exports = {
+  DEFAULT_HIT_RADIUS,
+  toNormalizedPoint,
+  getImageDistance,
+  isInPolygon,
+  isInEllipse,
+  isHit,
+  getCenter,
+  isNormalizedCoordinate,
+};
@@ -0,0 +1,11 @@
+// Stable ids of the Where's Wally documents, given by the level editor, the seeding
+// script and the submitScene function alike.
+
+// Returns a stable id made of the given name: lowercase letters, digits and dashes.
+function toId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+module.exports = {
+  toId,
+};
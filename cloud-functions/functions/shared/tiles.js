@@ -0,0 +1,58 @@
+// Tile pyramids of the scene images, displayed as deep-zoom images.
+//
+// The highest zoom level of a pyramid, `maxZoomLevel`, is the image at full
+// resolution, and each level below it halves the resolution, down to level 0
+// where the whole image fits in a single tile. Each level is cut into square
+// tiles of `tileSize` pixels, smaller on its right and bottom edges, stored at
+// `{tilesPath}/{zoomLevel}/{column}_{row}.jpg`.
+
+// Size of the tiles, in pixels.
+const TILE_SIZE = 256;
+
+// Returns the zoom level at which an image of the given size is at full
+// resolution.
+function getMaxZoomLevel(width, height, tileSize = TILE_SIZE) {
+  return Math.max(0, Math.ceil(Math.log2(Math.max(width, height) / tileSize)));
+}
+
+// Returns the levels of the tile pyramid of an image of the given size, from
+// zoom level 0: the size of the image at that level (`width`, `height`) and
+// its number of `columns` and `rows` of tiles.
+function getTilePyramid(width, height, tileSize = TILE_SIZE) {
+  const maxZoomLevel = getMaxZoomLevel(width, height, tileSize);
+  const levels = [];
+  for (let zoomLevel = 0; zoomLevel <= maxZoomLevel; zoomLevel++) {
+    const scale = Math.pow(2, zoomLevel - maxZoomLevel);
+    const levelWidth = Math.max(1, Math.round(width * scale));
+    const levelHeight = Math.max(1, Math.round(height * scale));
+    levels.push({
+      zoomLevel,
+      width: levelWidth,
+      height: levelHeight,
+      columns: Math.ceil(levelWidth / tileSize),
+      rows: Math.ceil(levelHeight / tileSize),
+    });
+  }
+  return levels;
+}
+
+// Returns the path of a tile in Cloud Storage.
+function getTilePath(tilesPath, zoomLevel, column, row) {
+  return `${tilesPath}/${zoomLevel}/${column}_${row}.jpg`;
+}
+
+// Returns the zoom level to draw the image at when it is displayed
+// `displayWidth` pixels wide: the lowest level at least as wide, or the full
+// resolution.
+function getZoomLevelForWidth(pyramid, displayWidth) {
+  const level = pyramid.find((candidate) => candidate.width >= displayWidth);
+  return level ? level.zoomLevel : pyramid.length - 1;
+}
+
+module.exports = {
+  TILE_SIZE,
+  getMaxZoomLevel,
+  getTilePyramid,
+  getTilePath,
+  getZoomLevelForWidth,
+};
@@ -0,0 +1,121 @@
+// Validation of the Where's Wally scenes submitted by players, checked by the
+// submitScene function before they are queued for review.
+//
+// A submitted scene has the fields of a level (`name`, `difficulty`, `width`,
+// `height`) and its characters, each with the hit regions drawn in the level
+// editor: `characters: [{id, regions: [...]}]`, where `id` is the id of the
+// character in the `characters` catalogue. Regions use the normalized image
+// coordinates and the shapes described in shared/hit-test.js. Scenes submitted before
+// the catalogue named their characters instead: `characters: [{name, regions: [...]}]`,
+// and are resolved against the catalogue when they are reviewed.
+
+const {isNormalizedCoordinate} = require('./shared/hit-test');
+const {toId} = require('./shared/ids');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+// Maximum length of the names of scenes.
+const MAX_NAME_LENGTH = 60;
+// Maximum number of characters of a scene, and of regions of a character.
+const MAX_CHARACTERS = 10;
+const MAX_REGIONS = 10;
+// Maximum number of vertices of a polygon.
+const MAX_POLYGON_POINTS = 50;
+
+// Returns true if the value is a non-empty name of acceptable length.
+function isValidName(value) {
+  return typeof value === 'string' && value.trim().length > 0 &&
+      value.length <= MAX_NAME_LENGTH;
+}
+
+// Returns true if the value can be the id of a character of the catalogue.
+function isValidCharacterId(value) {
+  return typeof value === 'string' && value.length <= MAX_NAME_LENGTH &&
+      /^[a-z0-9-]+$/.test(value);
+}
+
+// Returns true if the value is a hit region drawn in the level editor.
+function isValidRegion(region) {
+  if (!region) {
+    return false;
+  }
+  if (region.type === 'polygon') {
+    return Array.isArray(region.points) && region.points.length >= 3 &&
+        region.points.length <= MAX_POLYGON_POINTS &&
+        region.points.every((point) => point && isNormalizedCoordinate(point.x) &&
+            isNormalizedCoordinate(point.y));
+  }
+  if (region.type === 'ellipse') {
+    return [region.cx, region.cy, region.rx, region.ry].every(isNormalizedCoordinate);
+  }
+  return false;
+}
+
+// Returns the reason why a submitted scene is invalid, or null if it is valid.
+function getSubmissionError(scene) {
+  if (!isValidName(scene.name)) {
+    return 'The scene needs a name.';
+  }
+  if (DIFFICULTIES.indexOf(scene.difficulty) === -1) {
+    return 'The difficulty of the scene is invalid.';
+  }
+  if (!Number.isInteger(scene.width) || scene.width <= 0 ||
+      !Number.isInteger(scene.height) || scene.height <= 0) {
+    return 'The size of the scene image is invalid.';
+  }
+  const characters = scene.characters;
+  if (!Array.isArray(characters) || characters.length === 0 ||
+      characters.length > MAX_CHARACTERS) {
+    return `The scene needs between 1 and ${MAX_CHARACTERS} characters.`;
+  }
+  const ids = characters.map((character) => character && character.id);
+  if (!ids.every(isValidCharacterId) ||
+      ids.some((id, index) => ids.indexOf(id) !== index)) {
+    return 'The characters need to be distinct characters of the catalogue.';
+  }
+  const invalid = characters.find((character) => !Array.isArray(character.regions) ||
+      character.regions.length === 0 || character.regions.length > MAX_REGIONS ||
+      !character.regions.every(isValidRegion));
+  if (invalid) {
+    return `The regions of ${invalid.id} are invalid.`;
+  }
+  return null;
+}
+
+// Returns the id of the character of the catalogue with the given name, alias or
+// localized name, ignoring case and punctuation, or null if there is none. `catalogue`
+// lists the characters of the catalogue, with their ids.
+function findCatalogueCharacterId(name, catalogue) {
+  const searchedId = toId(String(name));
+  const character = catalogue.find((candidate) => [candidate.id, candidate.name]
+      .concat(candidate.aliases || [])
+      .concat(Object.keys(candidate.localizedNames || {})
+          .map((language) => candidate.localizedNames[language]))
+      .some((candidateName) => toId(candidateName) === searchedId));
+  return character && searchedId ? character.id : null;
+}
+
+// Returns the characters of a submitted scene with the ids of their characters in the
+// catalogue, resolving the names of the scenes submitted before the catalogue. The id
+// is null for the characters that aren't in the catalogue.
+function resolveSubmissionCharacters(characters, catalogue) {
+  return characters.map((character) => ({
+    id: character.id || findCatalogueCharacterId(character.name, catalogue),
+    regions: character.regions,
+  }));
+}
+
+// Returns the id of the level published from the given submission: the name of the
+// scene made into an id, followed by the start of the id of the submission.
+function getSubmissionLevelId(name, submissionId) {
+  return `${toId(name) || 'scene'}-${submissionId.substring(0, 6).toLowerCase()}`;
+}
+
+module.exports = {
+  DIFFICULTIES,
+  MAX_CHARACTERS,
+  MAX_REGIONS,
+  getSubmissionError,
+  findCatalogueCharacterId,
+  resolveSubmissionCharacters,
+  getSubmissionLevelId,
+};
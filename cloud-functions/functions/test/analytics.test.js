@@ -0,0 +1,113 @@
+const assert = require('assert');
+const {
+  HEATMAP_SIZE,
+  getHeatmapCell,
+  median,
+  getDifficultyScore,
+  getDifficultyRating,
+  createGuessCounts,
+  countGuesses,
+  getGuessStats,
+  aggregateGuesses,
+} = require('../analytics');
+
+describe('analytics', () => {
+  describe('getHeatmapCell', () => {
+    it('stores the cells row by row', () => {
+      assert.strictEqual(getHeatmapCell(0, 0), 0);
+      assert.strictEqual(getHeatmapCell(0.5, 0), HEATMAP_SIZE / 2);
+      assert.strictEqual(getHeatmapCell(0, 0.5), HEATMAP_SIZE * HEATMAP_SIZE / 2);
+    });
+
+    it('keeps the edges of the scene in the last cells', () => {
+      assert.strictEqual(getHeatmapCell(1, 1), HEATMAP_SIZE * HEATMAP_SIZE - 1);
+    });
+  });
+
+  describe('median', () => {
+    it('returns the middle value, or the mean of the two middle values', () => {
+      assert.strictEqual(median([3, 1, 2]), 2);
+      assert.strictEqual(median([4, 1, 3, 2]), 2.5);
+      assert.strictEqual(median([]), null);
+    });
+  });
+
+  describe('getDifficultyScore', () => {
+    it('weighs the find time and the miss rate of the characters', () => {
+      assert.strictEqual(getDifficultyScore({
+        wally: {guesses: 10, missRate: 0.4, medianFindTime: 60000},
+      }), 50);
+    });
+
+    it('rates the characters never found as hardest to find', () => {
+      assert.strictEqual(getDifficultyScore({
+        wally: {guesses: 10, missRate: 0, medianFindTime: 12000},
+        wilma: {guesses: 10, missRate: 1, medianFindTime: null},
+      }), 53);
+    });
+
+    it('has no score without guesses', () => {
+      assert.strictEqual(getDifficultyScore({}), null);
+    });
+  });
+
+  describe('getDifficultyRating', () => {
+    it('rates the scores like the difficulty of levels', () => {
+      assert.deepStrictEqual([0, 33, 34, 66, 67, 100, null].map(getDifficultyRating),
+          ['easy', 'easy', 'medium', 'medium', 'hard', 'hard', null]);
+    });
+  });
+
+  describe('aggregateGuesses', () => {
+    it('aggregates the guesses into the stats of the level', () => {
+      const stats = aggregateGuesses([
+        {character: 'wally', x: 0, y: 0, hit: false, at: 1000},
+        {character: 'wally', x: 0.5, y: 0.5, hit: true, at: 30000},
+        {character: 'wally', x: 0.5, y: 0.5, hit: true, at: 90000},
+        {character: 'wilma', x: 1, y: 1, hit: false, at: 5000},
+      ]);
+      assert.strictEqual(stats.guesses, 4);
+      assert.deepStrictEqual(stats.characters, {
+        wally: {guesses: 3, misses: 1, missRate: 1 / 3, medianFindTime: 60000},
+        wilma: {guesses: 1, misses: 1, missRate: 1, medianFindTime: null},
+      });
+      assert.strictEqual(stats.difficultyScore, 73);
+      assert.strictEqual(stats.estimatedDifficulty, 'hard');
+    });
+
+    it('counts the guesses and the hits of each cell of the heatmap', () => {
+      const {heatmap} = aggregateGuesses([
+        {character: 'wally', x: 0.5, y: 0.5, hit: false, at: 1000},
+        {character: 'wally', x: 0.5, y: 0.5, hit: true, at: 2000},
+        {character: 'wally', x: 0, y: 0, hit: false, at: 3000},
+      ]);
+      const center = getHeatmapCell(0.5, 0.5);
+      assert.strictEqual(heatmap.size, HEATMAP_SIZE);
+      assert.strictEqual(heatmap.guesses.length, HEATMAP_SIZE * HEATMAP_SIZE);
+      assert.strictEqual(heatmap.guesses[center], 2);
+      assert.strictEqual(heatmap.hits[center], 1);
+      assert.strictEqual(heatmap.guesses[0], 1);
+      assert.strictEqual(heatmap.hits[0], 0);
+      assert.strictEqual(heatmap.guesses.reduce((sum, count) => sum + count, 0), 3);
+    });
+
+    it('counts the guesses page by page', () => {
+      const events = [
+        {character: 'wally', x: 0, y: 0, hit: false, at: 1000},
+        {character: 'wally', x: 0.5, y: 0.5, hit: true, at: 30000},
+        {character: 'wally', x: 0.5, y: 0.5, hit: true, at: 90000},
+        {character: 'wilma', x: 1, y: 1, hit: false, at: 5000},
+      ];
+      const counts = countGuesses(countGuesses(createGuessCounts(), events.slice(0, 2)),
+          events.slice(2));
+      assert.deepStrictEqual(getGuessStats(counts), aggregateGuesses(events));
+    });
+
+    it('has no difficulty without guesses', () => {
+      const stats = aggregateGuesses([]);
+      assert.strictEqual(stats.guesses, 0);
+      assert.strictEqual(stats.difficultyScore, null);
+      assert.strictEqual(stats.estimatedDifficulty, null);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const {
+  MAX_GUESSES_PER_SECOND,
+  MAX_RATE_LIMITED_GUESSES,
+  MAX_MISSES_PER_CHARACTER,
+  MIN_TIME_PER_CHARACTER,
+  isRateLimited,
+  addRecentGuess,
+  getGuessFlags,
+  isTooFast,
+  getRunFlags,
+} = require('../anti-cheat');
+
+describe('anti-cheat', () => {
+  const level = {characters: ['wally', 'wilma']};
+
+  describe('isRateLimited', () => {
+    it('accepts guesses up to the limit per second', () => {
+      let recentGuesses = [];
+      for (let i = 0; i < MAX_GUESSES_PER_SECOND; i++) {
+        assert.strictEqual(isRateLimited(recentGuesses, 1000 + i), false);
+        recentGuesses = addRecentGuess(recentGuesses, 1000 + i);
+      }
+      assert.strictEqual(isRateLimited(recentGuesses, 1000 + MAX_GUESSES_PER_SECOND), true);
+    });
+
+    it('forgets the guesses older than a second', () => {
+      let recentGuesses = [];
+      for (let i = 0; i < MAX_GUESSES_PER_SECOND; i++) {
+        recentGuesses = addRecentGuess(recentGuesses, 1000);
+      }
+      assert.strictEqual(isRateLimited(recentGuesses, 2000), false);
+      assert.deepStrictEqual(addRecentGuess(recentGuesses, 2000), [2000]);
+    });
+  });
+
+  describe('getGuessFlags', () => {
+    it('flags nothing for a new account', () => {
+      assert.deepStrictEqual(getGuessFlags({}), []);
+      assert.deepStrictEqual(getGuessFlags({recentGuesses: [], rateLimited: 0, misses: {}}), []);
+    });
+
+    it('flags too many misses of a character', () => {
+      assert.deepStrictEqual(getGuessFlags({misses: {wally: MAX_MISSES_PER_CHARACTER}}), []);
+      assert.deepStrictEqual(getGuessFlags({misses: {wally: MAX_MISSES_PER_CHARACTER + 1}}),
+          ['too-many-misses']);
+    });
+
+    it('flags too many rate limited guesses', () => {
+      assert.deepStrictEqual(getGuessFlags({rateLimited: MAX_RATE_LIMITED_GUESSES}), []);
+      assert.deepStrictEqual(getGuessFlags({rateLimited: MAX_RATE_LIMITED_GUESSES + 1}),
+          ['rate-limited']);
+    });
+  });
+
+  describe('isTooFast', () => {
+    it('requires the minimum time for each character found', () => {
+      assert.strictEqual(isTooFast(2, 2 * MIN_TIME_PER_CHARACTER - 1), true);
+      assert.strictEqual(isTooFast(2, 2 * MIN_TIME_PER_CHARACTER), false);
+    });
+  });
+
+  describe('getRunFlags', () => {
+    it('accepts a plausible run', () => {
+      const session = {rateLimited: 2, misses: {wally: 3}};
+      assert.deepStrictEqual(getRunFlags(session, level, 60000), []);
+    });
+
+    it('flags a run faster than the time floor of its level', () => {
+      assert.deepStrictEqual(getRunFlags({}, level, 2 * MIN_TIME_PER_CHARACTER - 1),
+          ['too-fast']);
+    });
+
+    it('lists every reason a run was flagged', () => {
+      const session = {
+        rateLimited: MAX_RATE_LIMITED_GUESSES + 1,
+        misses: {wilma: MAX_MISSES_PER_CHARACTER + 1},
+      };
+      assert.deepStrictEqual(getRunFlags(session, level, 0),
+          ['too-fast', 'too-many-misses', 'rate-limited']);
+    });
+  });
+});
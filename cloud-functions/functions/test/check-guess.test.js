@@ -0,0 +1,171 @@
+// Tests of the anti-cheat rules enforced by the checkGuess function, against the
+// Firestore emulator. Run them with `npm run test:emulators`, they are skipped when
+// the emulator isn't running.
+const assert = require('assert');
+const {MAX_MISSES_PER_CHARACTER, MAX_RATE_LIMITED_GUESSES} = require('../anti-cheat');
+
+const PROJECT_ID = 'demo-wheres-wally';
+const LEVEL_ID = 'anti-cheat-test';
+const WALLY = {x: 0.5, y: 0.5};
+const MISS = {x: 0.1, y: 0.1};
+
+describe('checkGuess', function() {
+  // Some runs wait for the time floor.
+  this.timeout(10000);
+  let test;
+  let admin;
+  let startGameSession;
+  let checkGuess;
+  let playerCount = 0;
+
+  before(async function() {
+    if (!process.env.FIRESTORE_EMULATOR_HOST) {
+      this.skip();
+    }
+    test = require('firebase-functions-test')({projectId: PROJECT_ID});
+    const myFunctions = require('../index');
+    admin = require('firebase-admin');
+    startGameSession = test.wrap(myFunctions.startGameSession);
+    checkGuess = test.wrap(myFunctions.checkGuess);
+
+    await admin.firestore().collection('levels').doc(LEVEL_ID).set({
+      name: 'Anti-cheat test',
+      imagePath: `levels/${LEVEL_ID}/scene.jpg`,
+      width: 1000,
+      height: 1000,
+      difficulty: 'easy',
+      order: 1000,
+      characters: ['wally'],
+    });
+    await admin.firestore().collection('pointsOfInterest').doc(`${LEVEL_ID}-wally-0`).set({
+      levelId: LEVEL_ID,
+      character: 'wally',
+      x: 0.5,
+      y: 0.5,
+      region: {type: 'ellipse', cx: 0.5, cy: 0.5, rx: 0.05, ry: 0.05},
+    });
+  });
+
+  after(() => {
+    if (test) {
+      test.cleanup();
+    }
+  });
+
+  // Returns the context of a call by a new signed-in player.
+  function newPlayer() {
+    playerCount++;
+    const uid = `player-${Date.now()}-${playerCount}`;
+    return {auth: {uid, token: {name: `Player ${playerCount}`}}};
+  }
+
+  // Starts a game session on the test level for the player, and returns its id.
+  async function startSession(context) {
+    const {sessionId} = await startGameSession({levelId: LEVEL_ID}, context);
+    return sessionId;
+  }
+
+  // Resolves once the given number of milliseconds have passed.
+  function wait(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+  }
+
+  // Makes the guess the given number of times in a row. Resolves with the result of
+  // each guess: 'accepted', or the code of the error it was rejected with.
+  async function guessInARow(guess, context, count) {
+    const results = count > 1 ? await guessInARow(guess, context, count - 1) : [];
+    try {
+      await checkGuess(guess, context);
+      return results.concat('accepted');
+    } catch (error) {
+      return results.concat(error.code);
+    }
+  }
+
+  // Asserts the promise rejects with an HttpsError of the given code.
+  async function assertRejects(promise, code) {
+    await assert.rejects(promise, (error) => error.code === code);
+  }
+
+  it('rejects the characters that are not in the level', async () => {
+    const context = newPlayer();
+    const sessionId = await startSession(context);
+    await assertRejects(
+        checkGuess(Object.assign({sessionId, character: 'recentGuesses'}, WALLY), context),
+        'invalid-argument');
+  });
+
+  it('rejects coordinates outside of the image', async () => {
+    const context = newPlayer();
+    const sessionId = await startSession(context);
+    await assertRejects(checkGuess({sessionId, character: 'wally', x: 2, y: 0.5}, context),
+        'invalid-argument');
+  });
+
+  it('rejects the guesses of other players', async () => {
+    const sessionId = await startSession(newPlayer());
+    await assertRejects(checkGuess(Object.assign({sessionId, character: 'wally'}, WALLY),
+        newPlayer()), 'permission-denied');
+  });
+
+  it('rejects the guesses of anonymous sessions without their key', async () => {
+    const {sessionId, sessionKey} = await startGameSession({levelId: LEVEL_ID}, {});
+    await assertRejects(checkGuess(Object.assign({sessionId, character: 'wally'}, MISS), {}),
+        'permission-denied');
+    const result = await checkGuess(
+        Object.assign({sessionId, sessionKey, character: 'wally'}, MISS), {});
+    assert.strictEqual(result.hit, false);
+  });
+
+  it('rate limits the guesses and counts the rejected ones', async () => {
+    const context = newPlayer();
+    const sessionId = await startSession(context);
+    const guess = Object.assign({sessionId, character: 'wally'}, MISS);
+    const results = await guessInARow(guess, context, 5);
+    assert.ok(results.indexOf('resource-exhausted') !== -1);
+
+    const session = await admin.firestore().collection('gameSessions').doc(sessionId).get();
+    assert.strictEqual(session.get('rateLimited'),
+        results.filter((result) => result === 'resource-exhausted').length);
+    assert.strictEqual(session.get('misses.wally'),
+        results.filter((result) => result === 'accepted').length);
+  });
+
+  it('flags the runs faster than the time floor', async () => {
+    const context = newPlayer();
+    const sessionId = await startSession(context);
+    const result = await checkGuess(Object.assign({sessionId, character: 'wally'}, WALLY),
+        context);
+    assert.strictEqual(result.completed, true);
+    assert.strictEqual(result.flagged, true);
+
+    const flaggedRun = await admin.firestore().collection('flaggedRuns').doc(sessionId).get();
+    assert.deepStrictEqual(flaggedRun.get('flags'), ['too-fast']);
+  });
+
+  it('flags the runs that missed or were rate limited too often', async () => {
+    const context = newPlayer();
+    const sessionId = await startSession(context);
+    await admin.firestore().collection('gameSessions').doc(sessionId).update({
+      'misses.wally': MAX_MISSES_PER_CHARACTER + 1,
+      'rateLimited': MAX_RATE_LIMITED_GUESSES + 1,
+    });
+    await wait(1500);
+    const result = await checkGuess(Object.assign({sessionId, character: 'wally'}, WALLY),
+        context);
+    assert.strictEqual(result.flagged, true);
+
+    const flaggedRun = await admin.firestore().collection('flaggedRuns').doc(sessionId).get();
+    assert.deepStrictEqual(flaggedRun.get('flags'), ['too-many-misses', 'rate-limited']);
+  });
+
+  it('accepts plausible runs', async () => {
+    const context = newPlayer();
+    const sessionId = await startSession(context);
+    await wait(1500);
+    const result = await checkGuess(Object.assign({sessionId, character: 'wally'}, WALLY),
+        context);
+    assert.strictEqual(result.completed, true);
+    assert.strictEqual(result.flagged, false);
+  });
+});
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const {
+  DEFAULT_HIT_RADIUS,
+  toNormalizedPoint,
+  isInPolygon,
+  isInEllipse,
+  isHit,
+  getCenter,
+  isNormalizedCoordinate,
+} = require('../shared/hit-test');
+
+describe('hit-test', () => {
+  const imageSize = {width: 2000, height: 1000};
+  // A concave, L-shaped polygon.
+  const polygon = [
+    {x: 0.2, y: 0.2},
+    {x: 0.6, y: 0.2},
+    {x: 0.6, y: 0.4},
+    {x: 0.4, y: 0.4},
+    {x: 0.4, y: 0.8},
+    {x: 0.2, y: 0.8},
+  ];
+
+  describe('isInPolygon', () => {
+    it('hits the guesses inside the polygon', () => {
+      assert.strictEqual(isInPolygon(polygon, {x: 0.3, y: 0.3}), true);
+      assert.strictEqual(isInPolygon(polygon, {x: 0.5, y: 0.3}), true);
+      assert.strictEqual(isInPolygon(polygon, {x: 0.3, y: 0.7}), true);
+    });
+
+    it('misses the guesses outside of the polygon, including in its concavity', () => {
+      assert.strictEqual(isInPolygon(polygon, {x: 0.5, y: 0.6}), false);
+      assert.strictEqual(isInPolygon(polygon, {x: 0.1, y: 0.3}), false);
+      assert.strictEqual(isInPolygon(polygon, {x: 0.3, y: 0.9}), false);
+    });
+  });
+
+  describe('isInEllipse', () => {
+    const ellipse = {cx: 0.5, cy: 0.5, rx: 0.1, ry: 0.05};
+
+    it('hits the guesses inside the ellipse', () => {
+      assert.strictEqual(isInEllipse(ellipse, {x: 0.5, y: 0.5}, imageSize), true);
+      assert.strictEqual(isInEllipse(ellipse, {x: 0.59, y: 0.5}, imageSize), true);
+      assert.strictEqual(isInEllipse(ellipse, {x: 0.5, y: 0.54}, imageSize), true);
+    });
+
+    it('misses the guesses outside of the ellipse', () => {
+      assert.strictEqual(isInEllipse(ellipse, {x: 0.61, y: 0.5}, imageSize), false);
+      assert.strictEqual(isInEllipse(ellipse, {x: 0.5, y: 0.56}, imageSize), false);
+      assert.strictEqual(isInEllipse(ellipse, {x: 0.58, y: 0.54}, imageSize), false);
+    });
+
+    it('rotates the ellipse clockwise, in image pixels', () => {
+      // 200 by 50 pixels, rotated upright.
+      const rotated = Object.assign({rotation: 90}, ellipse);
+      assert.strictEqual(isInEllipse(rotated, {x: 0.5, y: 0.69}, imageSize), true);
+      assert.strictEqual(isInEllipse(rotated, {x: 0.59, y: 0.5}, imageSize), false);
+    });
+  });
+
+  describe('isHit', () => {
+    it('tests the guesses against the region of the point of interest', () => {
+      const point = {x: 0.3, y: 0.3, region: {type: 'polygon', points: polygon}};
+      assert.strictEqual(isHit(point, {x: 0.3, y: 0.7}, imageSize), true);
+      assert.strictEqual(isHit(point, {x: 0.5, y: 0.6}, imageSize), false);
+    });
+
+    it('uses the hit radius for points of interest without a region', () => {
+      const point = {x: 0.5, y: 0.5};
+      const edge = 0.5 + DEFAULT_HIT_RADIUS;
+      assert.strictEqual(isHit(point, {x: edge - 0.001, y: 0.5}, imageSize), true);
+      assert.strictEqual(isHit(point, {x: edge + 0.001, y: 0.5}, imageSize), false);
+      assert.strictEqual(isHit(Object.assign({radius: 0.2}, point), {x: 0.65, y: 0.5},
+          imageSize), true);
+    });
+
+    it('measures the radius as a fraction of the image width', () => {
+      // 0.09 of the height is 90 pixels, 0.045 of the width.
+      assert.strictEqual(isHit({x: 0.5, y: 0.5}, {x: 0.5, y: 0.59}, imageSize), true);
+    });
+
+    it('accepts the points of interest saved in pixels', () => {
+      assert.strictEqual(isHit({x: 1000, y: 500}, {x: 0.51, y: 0.5}, imageSize), true);
+    });
+  });
+
+  describe('toNormalizedPoint', () => {
+    it('converts the points of interest saved in pixels', () => {
+      assert.deepStrictEqual(toNormalizedPoint({x: 500, y: 250}, imageSize),
+          {x: 0.25, y: 0.25});
+      const normalized = {x: 0.25, y: 0.25};
+      assert.strictEqual(toNormalizedPoint(normalized, imageSize), normalized);
+    });
+  });
+
+  describe('getCenter', () => {
+    it('returns the center of the bounding box of a polygon', () => {
+      assert.deepStrictEqual(getCenter({region: {type: 'polygon', points: polygon}}, imageSize),
+          {x: 0.4, y: 0.5});
+    });
+
+    it('returns the center of an ellipse', () => {
+      const region = {type: 'ellipse', cx: 0.3, cy: 0.7, rx: 0.1, ry: 0.1};
+      assert.deepStrictEqual(getCenter({region}, imageSize), {x: 0.3, y: 0.7});
+    });
+
+    it('returns the position of the points of interest without a region', () => {
+      assert.deepStrictEqual(getCenter({x: 1000, y: 500}, imageSize), {x: 0.5, y: 0.5});
+    });
+  });
+
+  describe('isNormalizedCoordinate', () => {
+    it('accepts the numbers between 0 and 1', () => {
+      assert.deepStrictEqual([0, 0.5, 1].map(isNormalizedCoordinate), [true, true, true]);
+      assert.deepStrictEqual([-0.1, 1.1, '0.5', NaN, null].map(isNormalizedCoordinate),
+          [false, false, false, false, false]);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const assert = require('assert');
+const {
+  formatTime,
+  getResultTitle,
+  getResultDescription,
+  toAnnotationText,
+  getResultCardArgs,
+  escapeHtml,
+  renderResultPage,
+} = require('../share-cards');
+
+describe('share-cards', () => {
+  // Returns a shared result, with the given changes.
+  function result(changes) {
+    return Object.assign({
+      name: 'Alice',
+      levelName: 'Beach',
+      width: 1280,
+      height: 720,
+      time: 65300,
+      daily: null,
+      finds: [{character: 'wally', name: 'Wally', at: 30000}],
+    }, changes);
+  }
+
+  describe('formatTime', () => {
+    it('formats the times like the game', () => {
+      assert.strictEqual(formatTime(65300), '1:05.3');
+      assert.strictEqual(formatTime(999), '0:00.9');
+    });
+  });
+
+  describe('getResultTitle', () => {
+    it('names the level, or the daily challenge', () => {
+      assert.strictEqual(getResultTitle(result({})), 'Alice found everyone in Beach in 1:05.3');
+      assert.strictEqual(getResultTitle(result({daily: '2021-06-30'})),
+          'Alice completed the daily challenge in 1:05.3');
+    });
+  });
+
+  describe('getResultDescription', () => {
+    it('names the characters found and the rank of the run', () => {
+      assert.strictEqual(getResultDescription(result({})),
+          'Wally spotted in Beach. Can you find them faster?');
+      assert.strictEqual(getResultDescription(result({rank: 3})),
+          'Wally spotted in Beach, ranked #3. Can you find them faster?');
+    });
+  });
+
+  describe('toAnnotationText', () => {
+    it('escapes the ImageMagick escapes and properties', () => {
+      assert.strictEqual(toAnnotationText('100% \\n %[exif:*]'), '100%% \\\\n %%[exif:*]');
+    });
+
+    it('escapes a leading @, which would read the text from a file', () => {
+      assert.strictEqual(toAnnotationText('@/etc/passwd'), '\\@/etc/passwd');
+      assert.strictEqual(toAnnotationText('me@example.com'), 'me@example.com');
+    });
+  });
+
+  describe('getResultCardArgs', () => {
+    it('escapes the player names in the annotations', () => {
+      const args = getResultCardArgs(result({name: '@/etc/passwd %d'}), 'scene.jpg', 'card.png');
+      assert.strictEqual(args[0], 'scene.jpg');
+      assert.strictEqual(args[args.length - 1], 'png:card.png');
+      assert.ok(args.indexOf('\\@/etc/passwd %%d found everyone in Beach in 1:05.3') !== -1);
+    });
+
+    it('never locates the characters', () => {
+      const args = getResultCardArgs(result({}), 'scene.jpg', 'card.png');
+      assert.ok(!args.some((arg) => arg.startsWith('circle')));
+    });
+  });
+
+  describe('renderResultPage', () => {
+    it('escapes the result in the HTML', () => {
+      assert.strictEqual(escapeHtml('<a href="x">\'&\'</a>'),
+          '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+      const page = renderResultPage(result({name: '<script>alert(1)</script>'}), {
+        pageUrl: 'https://example.com/r/abc',
+        imageUrl: 'https://example.com/r/abc/card.png',
+        appUrl: 'https://example.com/',
+      });
+      assert.strictEqual(page.indexOf('<script>'), -1);
+      assert.ok(page.indexOf('&lt;script&gt;alert(1)&lt;/script&gt; found everyone') !== -1);
+      assert.ok(page.indexOf('<meta property="og:image" ' +
+          'content="https://example.com/r/abc/card.png" />') !== -1);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const {
+  MAX_CHARACTERS,
+  MAX_REGIONS,
+  getSubmissionError,
+  getSubmissionLevelId,
+  findCatalogueCharacterId,
+  resolveSubmissionCharacters,
+} = require('../submissions');
+
+describe('submissions', () => {
+  const ellipse = {type: 'ellipse', cx: 0.5, cy: 0.5, rx: 0.05, ry: 0.1};
+  const triangle = {
+    type: 'polygon',
+    points: [{x: 0.1, y: 0.1}, {x: 0.2, y: 0.1}, {x: 0.1, y: 0.2}],
+  };
+
+  // Returns a valid submitted scene, with the given changes.
+  function scene(changes) {
+    return Object.assign({
+      name: 'Beach',
+      difficulty: 'easy',
+      width: 1280,
+      height: 720,
+      characters: [{id: 'wally', regions: [ellipse]}, {id: 'wilma', regions: [triangle]}],
+    }, changes);
+  }
+
+  describe('getSubmissionError', () => {
+    it('accepts a valid scene', () => {
+      assert.strictEqual(getSubmissionError(scene({})), null);
+    });
+
+    it('requires a name, a difficulty and the size of the image', () => {
+      assert.strictEqual(getSubmissionError(scene({name: '  '})), 'The scene needs a name.');
+      assert.strictEqual(getSubmissionError(scene({name: 'x'.repeat(61)})),
+          'The scene needs a name.');
+      assert.strictEqual(getSubmissionError(scene({difficulty: 'impossible'})),
+          'The difficulty of the scene is invalid.');
+      assert.strictEqual(getSubmissionError(scene({width: 12.5})),
+          'The size of the scene image is invalid.');
+      assert.strictEqual(getSubmissionError(scene({height: 0})),
+          'The size of the scene image is invalid.');
+    });
+
+    it('limits the number of characters', () => {
+      const tooMany = [];
+      for (let i = 0; i <= MAX_CHARACTERS; i++) {
+        tooMany.push({id: `character-${i}`, regions: [ellipse]});
+      }
+      const error = `The scene needs between 1 and ${MAX_CHARACTERS} characters.`;
+      assert.strictEqual(getSubmissionError(scene({characters: []})), error);
+      assert.strictEqual(getSubmissionError(scene({characters: tooMany})), error);
+    });
+
+    it('requires distinct characters of the catalogue', () => {
+      const error = 'The characters need to be distinct characters of the catalogue.';
+      assert.strictEqual(getSubmissionError(scene({
+        characters: [{id: 'wally', regions: [ellipse]}, {id: 'wally', regions: [triangle]}],
+      })), error);
+      assert.strictEqual(getSubmissionError(scene({
+        characters: [{id: 'Wally!', regions: [ellipse]}],
+      })), error);
+      assert.strictEqual(getSubmissionError(scene({
+        characters: [{name: 'Wally', regions: [ellipse]}],
+      })), error);
+    });
+
+    it('validates the regions of the characters', () => {
+      const error = 'The regions of wally are invalid.';
+      const withRegions = (regions) => scene({characters: [{id: 'wally', regions}]});
+      const tooMany = [];
+      for (let i = 0; i <= MAX_REGIONS; i++) {
+        tooMany.push(ellipse);
+      }
+      assert.strictEqual(getSubmissionError(withRegions([])), error);
+      assert.strictEqual(getSubmissionError(withRegions(tooMany)), error);
+      assert.strictEqual(getSubmissionError(withRegions([{type: 'circle', cx: 0.5}])), error);
+      assert.strictEqual(getSubmissionError(withRegions([Object.assign({}, ellipse, {rx: 2})])),
+          error);
+      assert.strictEqual(getSubmissionError(withRegions([
+        {type: 'polygon', points: [{x: 0.1, y: 0.1}, {x: 0.2, y: 0.1}]},
+      ])), error);
+      assert.strictEqual(getSubmissionError(withRegions([
+        {type: 'polygon', points: [{x: 0.1, y: 0.1}, {x: 0.2, y: 0.1}, {x: -1, y: 0.2}]},
+      ])), error);
+    });
+  });
+
+  describe('getSubmissionLevelId', () => {
+    it('makes an id of the name of the scene and of the submission', () => {
+      assert.strictEqual(getSubmissionLevelId('Busy Beach!', 'AbCdEfGhIj'), 'busy-beach-abcdef');
+      assert.strictEqual(getSubmissionLevelId('???', 'AbCdEfGhIj'), 'scene-abcdef');
+    });
+  });
+
+  describe('resolveSubmissionCharacters', () => {
+    const catalogue = [
+      {id: 'wally', name: 'Wally', aliases: ['Waldo'], localizedNames: {fr: 'Charlie'}},
+      {id: 'wizard', name: 'Wizard Whitebeard', aliases: [], localizedNames: {}},
+    ];
+
+    it('finds the characters by name, alias or localized name', () => {
+      assert.strictEqual(findCatalogueCharacterId('Waldo', catalogue), 'wally');
+      assert.strictEqual(findCatalogueCharacterId('charlie', catalogue), 'wally');
+      assert.strictEqual(findCatalogueCharacterId('Wizard  Whitebeard', catalogue), 'wizard');
+      assert.strictEqual(findCatalogueCharacterId('Odlaw', catalogue), null);
+      assert.strictEqual(findCatalogueCharacterId('', catalogue), null);
+    });
+
+    it('resolves the names of the scenes submitted before the catalogue', () => {
+      const characters = [
+        {name: 'Waldo', regions: [ellipse]},
+        {id: 'wizard', regions: [triangle]},
+        {name: 'Odlaw', regions: [ellipse]},
+      ];
+      assert.deepStrictEqual(resolveSubmissionCharacters(characters, catalogue), [
+        {id: 'wally', regions: [ellipse]},
+        {id: 'wizard', regions: [triangle]},
+        {id: null, regions: [ellipse]},
+      ]);
+    });
+  });
+});
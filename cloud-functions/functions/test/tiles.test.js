@@ -0,0 +1,80 @@
+const assert = require('assert');
+const {
+  TILE_SIZE,
+  getMaxZoomLevel,
+  getTilePyramid,
+  getTilePath,
+  getZoomLevelForWidth,
+} = require('../shared/tiles');
+
+describe('tiles', () => {
+  describe('getMaxZoomLevel', () => {
+    it('halves the image until it fits in a tile', () => {
+      assert.strictEqual(getMaxZoomLevel(1280, 720), 3);
+      assert.strictEqual(getMaxZoomLevel(720, 1280), 3);
+      assert.strictEqual(getMaxZoomLevel(2 * TILE_SIZE, TILE_SIZE), 1);
+      assert.strictEqual(getMaxZoomLevel(2 * TILE_SIZE + 1, TILE_SIZE), 2);
+    });
+
+    it('keeps the images smaller than a tile at level 0', () => {
+      assert.strictEqual(getMaxZoomLevel(200, 100), 0);
+    });
+  });
+
+  describe('getTilePyramid', () => {
+    it('lists the size and the tiles of each zoom level', () => {
+      assert.deepStrictEqual(getTilePyramid(1280, 720), [
+        {zoomLevel: 0, width: 160, height: 90, columns: 1, rows: 1},
+        {zoomLevel: 1, width: 320, height: 180, columns: 2, rows: 1},
+        {zoomLevel: 2, width: 640, height: 360, columns: 3, rows: 2},
+        {zoomLevel: 3, width: 1280, height: 720, columns: 5, rows: 3},
+      ]);
+    });
+
+    it('fits the whole image in a single tile at level 0', () => {
+      getTilePyramid(5000, 3001).concat(getTilePyramid(3001, 5000)).forEach((level) => {
+        if (level.zoomLevel === 0) {
+          assert.strictEqual(level.columns, 1);
+          assert.strictEqual(level.rows, 1);
+        }
+      });
+      assert.deepStrictEqual(getTilePyramid(200, 100),
+          [{zoomLevel: 0, width: 200, height: 100, columns: 1, rows: 1}]);
+    });
+
+    it('keeps at least a pixel on each side of thin images', () => {
+      const pyramid = getTilePyramid(4096, 4);
+      assert.deepStrictEqual(pyramid[0],
+          {zoomLevel: 0, width: 256, height: 1, columns: 1, rows: 1});
+    });
+
+    it('uses the given tile size', () => {
+      assert.deepStrictEqual(getTilePyramid(300, 200, 128), [
+        {zoomLevel: 0, width: 75, height: 50, columns: 1, rows: 1},
+        {zoomLevel: 1, width: 150, height: 100, columns: 2, rows: 1},
+        {zoomLevel: 2, width: 300, height: 200, columns: 3, rows: 2},
+      ]);
+    });
+  });
+
+  describe('getTilePath', () => {
+    it('stores the tiles by zoom level, column and row', () => {
+      assert.strictEqual(getTilePath('levels/beach/tiles', 2, 3, 1),
+          'levels/beach/tiles/2/3_1.jpg');
+    });
+  });
+
+  describe('getZoomLevelForWidth', () => {
+    const pyramid = getTilePyramid(1280, 720);
+
+    it('picks the lowest zoom level at least as wide as the display', () => {
+      assert.strictEqual(getZoomLevelForWidth(pyramid, 100), 0);
+      assert.strictEqual(getZoomLevelForWidth(pyramid, 320), 1);
+      assert.strictEqual(getZoomLevelForWidth(pyramid, 321), 2);
+    });
+
+    it('picks the full resolution for displays wider than the image', () => {
+      assert.strictEqual(getZoomLevelForWidth(pyramid, 2000), 3);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Editor of the character catalogue, shown to admins in the level editor.
+ *
+ * Admins add characters to the catalogue or edit them: their name and
+ * description, the aliases the level editor recognizes them by, their names in
+ * other languages, one `tag: name` per line, and their reference art. The id
+ * of a character can't change once saved, as levels refer to it.
+ */
+import { getCharacters, getCharacter, saveCharacter } from "./characters.js";
+
+// The function called once a character is saved.
+let onCharacterSaved = null;
+
+// Opens the editor on a new character. `onSaved` is called once a character
+// is saved.
+export function openCharacterEditor(onSaved) {
+  onCharacterSaved = onSaved;
+  displayCharacterOptions();
+  editCharacter(null);
+}
+
+// Lists the characters of the catalogue in the character select.
+function displayCharacterOptions() {
+  characterSelectElement.innerHTML = '<option value="">New character</option>';
+  getCharacters().forEach((character) => {
+    const option = document.createElement("option");
+    option.value = character.id;
+    option.textContent = character.name;
+    characterSelectElement.appendChild(option);
+  });
+}
+
+// Fills the form with the given character, or empties it for a new one.
+function editCharacter(character) {
+  characterSelectElement.value = character ? character.id : "";
+  characterIdElement.value = character ? character.id : "";
+  characterIdElement.disabled = !!character;
+  characterNameElement.value = character ? character.name : "";
+  characterDescriptionElement.value = character
+    ? character.description || ""
+    : "";
+  characterAliasesElement.value = character
+    ? (character.aliases || []).join(", ")
+    : "";
+  characterLocalizedNamesElement.value = character
+    ? Object.entries(character.localizedNames || {})
+        .map(([language, name]) => `${language}: ${name}`)
+        .join("\n")
+    : "";
+  characterOrderElement.value = character
+    ? character.order
+    : getCharacters().length + 1;
+  characterImageElement.value = "";
+  setStatus("");
+}
+
+// Loads the character chosen in the character select.
+function onCharacterSelected() {
+  editCharacter(getCharacter(characterSelectElement.value));
+}
+
+// Returns the localized names written one `tag: name` per line, by language
+// tag, or null if a line isn't one.
+function parseLocalizedNames(text) {
+  const localizedNames = {};
+  const lines = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line);
+  for (const line of lines) {
+    const match = line.match(/^([A-Za-z]{2,3}(?:-[A-Za-z0-9]+)*)\s*:\s*(.+)$/);
+    if (!match) {
+      return null;
+    }
+    localizedNames[match[1]] = match[2];
+  }
+  return localizedNames;
+}
+
+// Saves the character of the form to the catalogue.
+async function onCatalogueFormSubmit(event) {
+  event.preventDefault();
+  const id = characterIdElement.value.trim();
+  const existing = getCharacter(id);
+  const localizedNames = parseLocalizedNames(
+    characterLocalizedNamesElement.value
+  );
+  if (!id.match(/^[a-z0-9-]+$/)) {
+    setStatus(
+      "The character id can only contain lowercase letters, digits and dashes."
+    );
+    return;
+  }
+  if (existing && !characterIdElement.disabled) {
+    setStatus(`${id} is already in the catalogue.`);
+    return;
+  }
+  if (!characterNameElement.value.trim()) {
+    setStatus("The character needs a name.");
+    return;
+  }
+  if (!localizedNames) {
+    setStatus('Write the localized names one per line, like "fr: Charlie".');
+    return;
+  }
+
+  const character = {
+    id,
+    name: characterNameElement.value.trim(),
+    description: characterDescriptionElement.value.trim(),
+    imagePath: existing ? existing.imagePath : null,
+    aliases: characterAliasesElement.value
+      .split(",")
+      .map((alias) => alias.trim())
+      .filter((alias) => alias),
+    localizedNames,
+    order: Number(characterOrderElement.value),
+  };
+  try {
+    setStatus("Saving...");
+    await saveCharacter(character, characterImageElement.files[0] || null);
+    displayCharacterOptions();
+    editCharacter(getCharacter(id));
+    setStatus(`${character.name} has been saved.`);
+    onCharacterSaved();
+  } catch (error) {
+    console.error(`Error saving the character ${id}`, error);
+    setStatus(`Unable to save ${character.name}.`);
+  }
+}
+
+// Displays a message under the catalogue form.
+function setStatus(message) {
+  catalogueStatusElement.textContent = message;
+}
+
+// Shortcuts to the catalogue editor's DOM Elements.
+var catalogueFormElement = document.getElementById("catalogue-form");
+var characterSelectElement = document.getElementById(
+  "catalogue-character-select"
+);
+var characterIdElement = document.getElementById("catalogue-character-id");
+var characterNameElement = document.getElementById("catalogue-character-name");
+var characterDescriptionElement = document.getElementById(
+  "catalogue-character-description"
+);
+var characterAliasesElement = document.getElementById(
+  "catalogue-character-aliases"
+);
+var characterLocalizedNamesElement = document.getElementById(
+  "catalogue-character-localized-names"
+);
+var characterOrderElement = document.getElementById(
+  "catalogue-character-order"
+);
+var characterImageElement = document.getElementById(
+  "catalogue-character-image"
+);
+var catalogueStatusElement = document.getElementById("catalogue-status");
+
+characterSelectElement.addEventListener("change", onCharacterSelected);
+catalogueFormElement.addEventListener("submit", onCatalogueFormSubmit);
@@ -0,0 +1,130 @@
+/**
+ * Accessible menu to pick the character a guess is about.
+ *
+ * The picker follows the WAI-ARIA menu pattern: it takes the focus when it
+ * opens, the arrow keys, Home and End move between the characters, Enter or
+ * Space picks one and Escape dismisses the menu. Tab keeps the focus inside
+ * the menu while it is open.
+ */
+import { getCharacterName, createCharacterThumbnail } from "./characters.js";
+
+// Margin kept between the picker and the edges of the viewport, in pixels.
+const VIEWPORT_MARGIN = 8;
+
+// The picker currently open, if any.
+let openPicker = null;
+
+// Opens the picker at the given viewport coordinates, listing the characters
+// with the given ids. `onSelect` is called with the id of the picked character,
+// `onDismiss` when the picker is closed without picking one.
+export function openCharacterPicker(x, y, characters, onSelect, onDismiss) {
+  closeCharacterPicker();
+
+  const menu = document.createElement("ul");
+  menu.className = "character-picker mdl-shadow--4dp";
+  menu.setAttribute("role", "menu");
+  menu.setAttribute("aria-label", "Who is it?");
+
+  const items = characters.map((character) => {
+    const item = document.createElement("li");
+    item.className = "character-picker__item";
+    item.setAttribute("role", "menuitem");
+    item.tabIndex = -1;
+    item.appendChild(
+      createCharacterThumbnail(character, "character-picker__thumbnail")
+    );
+    item.appendChild(document.createTextNode(getCharacterName(character)));
+    item.addEventListener("click", () => {
+      closeCharacterPicker();
+      onSelect(character);
+    });
+    item.addEventListener("mousemove", () => item.focus());
+    menu.appendChild(item);
+    return item;
+  });
+
+  menu.addEventListener("keydown", (event) => {
+    // An empty menu can only be dismissed.
+    if (items.length === 0 && event.key !== "Escape") {
+      return;
+    }
+    const index = items.indexOf(document.activeElement);
+    switch (event.key) {
+      case "ArrowDown":
+      case "ArrowRight":
+        items[(index + 1) % items.length].focus();
+        break;
+      case "ArrowUp":
+      case "ArrowLeft":
+        items[(index - 1 + items.length) % items.length].focus();
+        break;
+      case "Home":
+        items[0].focus();
+        break;
+      case "End":
+        items[items.length - 1].focus();
+        break;
+      case "Tab":
+        // Trap the focus in the menu.
+        items[
+          (index + (event.shiftKey ? -1 : 1) + items.length) % items.length
+        ].focus();
+        break;
+      case "Enter":
+      case " ":
+        if (index !== -1) {
+          closeCharacterPicker();
+          onSelect(characters[index]);
+        }
+        break;
+      case "Escape":
+        closeCharacterPicker();
+        onDismiss();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+    event.stopPropagation();
+  });
+
+  document.body.appendChild(menu);
+  placeMenu(menu, x, y);
+  openPicker = menu;
+  if (items.length > 0) {
+    items[0].focus();
+  }
+}
+
+// Closes the picker, if it is open.
+export function closeCharacterPicker() {
+  if (openPicker) {
+    openPicker.parentNode.removeChild(openPicker);
+    openPicker = null;
+  }
+}
+
+// Returns true if the picker is open.
+export function isCharacterPickerOpen() {
+  return !!openPicker;
+}
+
+// Places the menu next to the given viewport coordinates, keeping it inside
+// the viewport.
+function placeMenu(menu, x, y) {
+  const maxLeft = window.innerWidth - menu.offsetWidth - VIEWPORT_MARGIN;
+  const maxTop = window.innerHeight - menu.offsetHeight - VIEWPORT_MARGIN;
+  menu.style.left = Math.max(VIEWPORT_MARGIN, Math.min(x, maxLeft)) + "px";
+  menu.style.top = Math.max(VIEWPORT_MARGIN, Math.min(y, maxTop)) + "px";
+}
+
+// Close the picker when clicking anywhere else.
+document.addEventListener(
+  "pointerdown",
+  (event) => {
+    if (openPicker && !openPicker.contains(event.target)) {
+      closeCharacterPicker();
+    }
+  },
+  true
+);
@@ -0,0 +1,160 @@
+/**
+ * Access to the Where's Wally character catalogue.
+ *
+ * Each document of the `characters` collection describes a character hidden
+ * in the scenes. Levels list their characters by document id, and points of
+ * interest refer to their character the same way:
+ *
+ *   - `name`: display name of the character.
+ *   - `description`: what the character looks like, shown with the hints.
+ *   - `imagePath`: path of the reference art in Cloud Storage, under
+ *     `characters/{characterId}/`, or null.
+ *   - `aliases`: other names the character is known by, e.g. "Waldo".
+ *   - `localizedNames`: the name of the character by language tag, e.g.
+ *     `{ fr: "Charlie" }`, displayed to players using that language.
+ *   - `order`: position of the character in the catalogue.
+ *
+ * The catalogue is kept in the browser to display the characters offline.
+ * Levels made before the catalogue list their characters by name: characters
+ * that aren't in the catalogue are displayed with their id.
+ */
+import {
+  getFirestore,
+  collection,
+  query,
+  orderBy,
+  getDocs,
+  doc,
+  setDoc,
+} from "firebase/firestore";
+import {
+  getStorage,
+  ref,
+  getDownloadURL,
+  uploadBytesResumable,
+} from "firebase/storage";
+
+const CATALOGUE_KEY = "wheres-wally-characters";
+
+// The characters of the catalogue, by id.
+const characters = new Map();
+// The URLs of the reference art of the characters, by id.
+const imageUrls = new Map();
+
+// Loads the character catalogue, sorted by character order, or the catalogue
+// kept in the browser when offline.
+export async function loadCharacters() {
+  let list;
+  try {
+    const snapshot = await getDocs(
+      query(collection(getFirestore(), "characters"), orderBy("order"))
+    );
+    list = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    localStorage.setItem(CATALOGUE_KEY, JSON.stringify(list));
+  } catch (error) {
+    list = JSON.parse(localStorage.getItem(CATALOGUE_KEY));
+    if (!list) {
+      throw error;
+    }
+  }
+  characters.clear();
+  list.forEach((character) => characters.set(character.id, character));
+  return list;
+}
+
+// Returns the characters of the catalogue, sorted by character order.
+export function getCharacters() {
+  return Array.from(characters.values()).sort((a, b) => a.order - b.order);
+}
+
+// Returns the character with the given id, or null if it isn't in the
+// catalogue.
+export function getCharacter(characterId) {
+  return characters.get(characterId) || null;
+}
+
+// Returns the name of the character in the language of the player.
+export function getCharacterName(characterId) {
+  const character = characters.get(characterId);
+  if (!character) {
+    return characterId;
+  }
+  const localizedNames = character.localizedNames || {};
+  for (const language of navigator.languages || [navigator.language]) {
+    const name =
+      localizedNames[language] || localizedNames[language.split("-")[0]];
+    if (name) {
+      return name;
+    }
+  }
+  return character.name;
+}
+
+// Returns the id of the character with the given name, alias or localized
+// name, ignoring case, or null if there is none.
+export function findCharacterId(name) {
+  const searchedName = name.trim().toLowerCase();
+  const character = getCharacters().find((candidate) =>
+    [candidate.id, candidate.name]
+      .concat(candidate.aliases || [])
+      .concat(Object.values(candidate.localizedNames || {}))
+      .some((candidateName) => candidateName.toLowerCase() === searchedName)
+  );
+  return character ? character.id : null;
+}
+
+// Resolves with a URL the reference art of the character can be downloaded
+// from, or with null if it has none.
+export function getCharacterImageUrl(characterId) {
+  const character = characters.get(characterId);
+  if (!character || !character.imagePath) {
+    return Promise.resolve(null);
+  }
+  if (!imageUrls.has(characterId)) {
+    imageUrls.set(
+      characterId,
+      getDownloadURL(ref(getStorage(), character.imagePath))
+    );
+  }
+  return imageUrls.get(characterId);
+}
+
+// Creates the thumbnail of a character, showing its reference art once loaded
+// and the initial of its name until then, or if it has none.
+export function createCharacterThumbnail(characterId, className) {
+  const thumbnail = document.createElement("div");
+  thumbnail.className = className;
+  thumbnail.textContent = getCharacterName(characterId).charAt(0);
+
+  getCharacterImageUrl(characterId).then(
+    (imageUrl) => {
+      if (!imageUrl) {
+        return;
+      }
+      const image = document.createElement("img");
+      image.alt = "";
+      image.addEventListener("load", () => {
+        thumbnail.textContent = "";
+        thumbnail.appendChild(image);
+      });
+      image.src = imageUrl;
+    },
+    (error) => {
+      console.error(`Error loading the art of ${characterId}`, error);
+    }
+  );
+  return thumbnail;
+}
+
+// Saves a character of the catalogue, uploading its new reference art if an
+// image file is given. For admins.
+export async function saveCharacter(character, imageFile = null) {
+  const { id, ...data } = character;
+  if (imageFile) {
+    data.imagePath = `characters/${id}/${imageFile.name}`;
+    await uploadBytesResumable(ref(getStorage(), data.imagePath), imageFile);
+    imageUrls.delete(id);
+  }
+  await setDoc(doc(getFirestore(), "characters", id), data);
+  characters.set(id, { id, ...data });
+}
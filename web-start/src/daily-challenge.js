@@ -0,0 +1,48 @@
+/**
+ * Access to the Where's Wally daily challenges.
+ *
+ * The `pickDailyChallenge` scheduled function picks the scene of the day each
+ * midnight UTC, in a `dailyChallenge/{date}` document holding the `levelId`
+ * and `levelName` of the scene. Each signed-in player gets one scored attempt
+ * per day; their `users/{uid}` document records the day of their last attempt
+ * (`lastDailyChallenge`) and their `dailyStreak`: the `current` and `best`
+ * numbers of days in a row they completed the challenge, and the `lastDate`
+ * they completed it.
+ */
+import { getFirestore, doc, getDoc } from "firebase/firestore";
+
+// Returns the id of the current UTC day, e.g. 2021-06-30.
+export function getTodayId() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Returns the id of the day before the given day.
+function getPreviousDateId(dateId) {
+  return new Date(Date.parse(dateId) - 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Loads the daily challenge of the given day. Resolves with null if its scene
+// wasn't picked yet.
+export async function loadDailyChallenge(dateId) {
+  const snapshot = await getDoc(doc(getFirestore(), "dailyChallenge", dateId));
+  return snapshot.exists() ? snapshot.data() : null;
+}
+
+// Loads the daily challenge state of the given user: the day of their last
+// attempt and their current and best streaks. A streak is current as long as
+// the challenge of today or yesterday was completed.
+export async function loadDailyState(uid, todayId) {
+  const snapshot = await getDoc(doc(getFirestore(), "users", uid));
+  const data = snapshot.exists() ? snapshot.data() : {};
+  const streak = data.dailyStreak || { current: 0, best: 0, lastDate: null };
+  const isCurrent =
+    streak.lastDate === todayId ||
+    streak.lastDate === getPreviousDateId(todayId);
+  return {
+    playedToday: data.lastDailyChallenge === todayId,
+    currentStreak: isCurrent ? streak.current : 0,
+    bestStreak: streak.best,
+  };
+}
@@ -8,3 +8,101 @@ import { getFirebaseConfig } from "./firebase-config";
 const firebaseApp = initializeApp(getFirebaseConfig());
 getMessaging(firebaseApp);
 console.info("Firebase messaging service worker is set up");
+
+//--------OFFLINE PLAY-----------------------------------------------------------
+
+// Cache of the app shell, updated from the network whenever online.
+const APP_CACHE = "wheres-wally-app";
+// Cache of the scene images of the app's offline pack, only filled by the app.
+const SCENE_CACHE = "wheres-wally-offline-scenes";
+// Cache of the Storage files fetched by earlier versions of the service worker,
+// deleted once it is activated.
+const LEGACY_SCENE_CACHE = "wheres-wally-scenes";
+
+// Files of the app shell, cached when the service worker is installed.
+const APP_SHELL = [
+  "/",
+  "/index.html",
+  "/manifest.json",
+  "/scripts/main.js",
+  "/styles/main.css",
+  "/images/icon.svg",
+  "/images/profile_placeholder.png",
+];
+
+// Hosts of the stylesheets, fonts and scripts of Material Design Lite.
+const STYLE_HOSTS = new Set([
+  "code.getmdl.io",
+  "fonts.googleapis.com",
+  "fonts.gstatic.com",
+]);
+
+// Host of the scene images in Cloud Storage.
+const STORAGE_HOST = "firebasestorage.googleapis.com";
+
+// Caches the app shell.
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(APP_CACHE).then((cache) => cache.addAll(APP_SHELL))
+  );
+});
+
+// Takes control of the open pages, so that they keep working offline.
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.delete(LEGACY_SCENE_CACHE).then(() => self.clients.claim())
+  );
+});
+
+// Serves the scene images of the offline pack from their cache, and the app
+// from the network first, falling back to the cache offline. Calls to
+// Firebase services, the other Storage files and the reserved Hosting URLs go
+// straight to the network.
+self.addEventListener("fetch", (event) => {
+  if (event.request.method !== "GET") {
+    return;
+  }
+  const url = new URL(event.request.url);
+  if (url.hostname === STORAGE_HOST) {
+    event.respondWith(fetchFromSceneCache(event.request));
+  } else if (
+    (url.origin === self.location.origin && !url.pathname.startsWith("/__/")) ||
+    STYLE_HOSTS.has(url.hostname)
+  ) {
+    event.respondWith(fetchFromNetworkFirst(event.request));
+  }
+});
+
+// Returns true if the response can be cached. Responses from other origins
+// fetched without CORS are opaque.
+function isCacheable(response) {
+  return response.ok || response.type === "opaque";
+}
+
+// Responds with the scene image cached by the offline pack, or fetches the
+// file from the network without caching it: the tiles, chat images and
+// character art would otherwise fill the cache.
+async function fetchFromSceneCache(request) {
+  const cache = await caches.open(SCENE_CACHE);
+  const cachedResponse = await cache.match(request);
+  return cachedResponse || fetch(request);
+}
+
+// Responds with the network response, cached for offline use, or with the
+// cached response when offline.
+async function fetchFromNetworkFirst(request) {
+  const cache = await caches.open(APP_CACHE);
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cachedResponse = await cache.match(request, { ignoreSearch: true });
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * SVG overlay marking the characters found in the scene, and the regions
+ * given as hints about where characters are.
+ *
+ * The overlay covers the scene element and uses the natural size of the scene
+ * image as its viewBox, with `preserveAspectRatio="xMidYMid slice"`: it is
+ * scaled and cropped exactly like the `background-size: cover` scene image, so
+ * markers stay on their characters whatever the size of the window.
+ */
+import { getCharacterName } from "./characters.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Radius of the markers, as a fraction of the natural image width.
+const MARKER_RADIUS = 0.025;
+
+// Creates the marker overlay and adds it to the scene element.
+export function createMarkerOverlay(sceneElement) {
+  const overlay = document.createElementNS(SVG_NAMESPACE, "svg");
+  overlay.setAttribute("class", "marker-overlay");
+  overlay.setAttribute("preserveAspectRatio", "xMidYMid slice");
+  overlay.setAttribute("aria-hidden", "true");
+  sceneElement.appendChild(overlay);
+  return overlay;
+}
+
+// Removes all the markers and matches the overlay to the given scene image.
+export function resetMarkerOverlay(overlay, imageSize) {
+  overlay.innerHTML = "";
+  overlay.setAttribute("viewBox", `0 0 ${imageSize.width} ${imageSize.height}`);
+}
+
+// Adds a marker on the character found at the given normalized image
+// coordinates. During a race, `foundBy` is the name of the other player who
+// found the character.
+export function addFoundMarker(overlay, x, y, character, foundBy = null) {
+  const viewBox = overlay.viewBox.baseVal;
+  const marker = document.createElementNS(SVG_NAMESPACE, "g");
+  marker.setAttribute(
+    "class",
+    foundBy ? "found-marker found-marker--other" : "found-marker"
+  );
+
+  const circle = document.createElementNS(SVG_NAMESPACE, "circle");
+  circle.setAttribute("cx", x * viewBox.width);
+  circle.setAttribute("cy", y * viewBox.height);
+  circle.setAttribute("r", MARKER_RADIUS * viewBox.width);
+  marker.appendChild(circle);
+
+  const title = document.createElementNS(SVG_NAMESPACE, "title");
+  const name = getCharacterName(character);
+  title.textContent = foundBy ? `${name}, found by ${foundBy}` : name;
+  marker.appendChild(title);
+
+  overlay.appendChild(marker);
+}
+
+// Briefly marks a guess at the given normalized image coordinates, while a
+// run is replayed. Misses and hits are marked differently.
+export function addGuessMarker(overlay, x, y, hit) {
+  const viewBox = overlay.viewBox.baseVal;
+  const circle = document.createElementNS(SVG_NAMESPACE, "circle");
+  circle.setAttribute(
+    "class",
+    hit ? "guess-marker guess-marker--hit" : "guess-marker"
+  );
+  circle.setAttribute("cx", x * viewBox.width);
+  circle.setAttribute("cy", y * viewBox.height);
+  circle.setAttribute("r", (MARKER_RADIUS / 2) * viewBox.width);
+  circle.addEventListener("animationend", () => circle.remove());
+  overlay.appendChild(circle);
+}
+
+// Highlights the region of the scene given as a hint about where the character
+// is, in normalized image coordinates. Replaces the previous hint about the
+// character.
+export function showHintRegion(overlay, region, character) {
+  removeHintRegion(overlay, character);
+  const viewBox = overlay.viewBox.baseVal;
+  const rect = document.createElementNS(SVG_NAMESPACE, "rect");
+  rect.setAttribute("class", "hint-region");
+  rect.dataset.character = character;
+  rect.setAttribute("x", region.x * viewBox.width);
+  rect.setAttribute("y", region.y * viewBox.height);
+  rect.setAttribute("width", region.width * viewBox.width);
+  rect.setAttribute("height", region.height * viewBox.height);
+  overlay.appendChild(rect);
+}
+
+// Removes the hint about the character, if any.
+export function removeHintRegion(overlay, character) {
+  overlay.querySelectorAll(".hint-region").forEach((rect) => {
+    if (rect.dataset.character === character) {
+      overlay.removeChild(rect);
+    }
+  });
+}
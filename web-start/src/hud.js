@@ -0,0 +1,46 @@
+/**
+ * Heads-up display listing the characters to find in the scene.
+ *
+ * Each character is shown with a thumbnail of its reference art from the
+ * character catalogue. Characters without reference art get the initial of
+ * their name instead.
+ */
+import { getCharacterName, createCharacterThumbnail } from "./characters.js";
+
+// Lists the characters to find in the HUD, given their ids.
+export function displayHudCharacters(listElement, characters) {
+  listElement.innerHTML = "";
+  characters.forEach((character) => {
+    const item = document.createElement("li");
+    item.className = "hud-character";
+    item.dataset.character = character;
+    item.appendChild(createCharacterThumbnail(character, "hud-thumbnail"));
+
+    const name = document.createElement("span");
+    name.className = "hud-name";
+    name.textContent = getCharacterName(character);
+    item.appendChild(name);
+
+    const check = document.createElement("i");
+    check.className = "material-icons hud-check";
+    check.textContent = "check_circle";
+    check.setAttribute("aria-label", "found");
+    item.appendChild(check);
+
+    listElement.appendChild(item);
+  });
+}
+
+// Checks a character off in the HUD. During a race, `foundBy` is the name of
+// the other player who found the character.
+export function markHudCharacterFound(listElement, character, foundBy = null) {
+  listElement.querySelectorAll(".hud-character").forEach((item) => {
+    if (item.dataset.character === character) {
+      item.classList.add("found");
+      if (foundBy) {
+        item.classList.add("found-by-other");
+        item.title = `Found by ${foundBy}`;
+      }
+    }
+  });
+}
@@ -22,6 +22,7 @@ import {
   GoogleAuthProvider,
   signInWithPopup,
   signOut,
+  getIdTokenResult,
 } from "firebase/auth";
 import {
   getFirestore,
@@ -35,7 +36,6 @@ import {
   updateDoc,
   doc,
   serverTimestamp,
-  getDocs,
 } from "firebase/firestore";
 import {
   getStorage,
@@ -44,9 +44,115 @@ import {
   getDownloadURL,
 } from "firebase/storage";
 import { getMessaging, getToken, onMessage } from "firebase/messaging";
+import { getFunctions, httpsCallable } from "firebase/functions";
 import { getPerformance } from "firebase/performance";
 
 import { getFirebaseConfig } from "./firebase-config.js";
+import {
+  loadImageSize,
+  clientToImagePoint,
+  imageToClientPoint,
+} from "./scene-coordinates.js";
+import {
+  loadLevels,
+  loadTutorialLevel,
+  getLevelImageUrl,
+  getNextLevel,
+  TUTORIAL_LEVEL_ID,
+} from "./levels.js";
+import {
+  listenToLeaderboard,
+  listenToDailyLeaderboard,
+  listenToOfflineLeaderboard,
+  formatTime,
+} from "./leaderboard.js";
+import {
+  createMarkerOverlay,
+  resetMarkerOverlay,
+  addFoundMarker,
+  showHintRegion,
+  removeHintRegion,
+  addGuessMarker,
+} from "./found-markers.js";
+import { loadReplay, playReplay } from "./replays.js";
+import { loadProgress, saveProgress, clearProgress } from "./progress.js";
+import { openLevelEditor, openSceneSubmission } from "./level-editor.js";
+import { openSubmissionReview } from "./submission-review.js";
+import {
+  hasCompletedTutorial,
+  markTutorialCompleted,
+  startTutorial,
+  showTutorialStep,
+  hideTutorial,
+} from "./tutorial.js";
+import { loadUserSubmissions } from "./submissions.js";
+import {
+  shareResult,
+  getResultUrl,
+  getResultCardUrl,
+  findResultId,
+} from "./results.js";
+import {
+  MAX_OFFLINE_LEVELS,
+  downloadOfflinePack,
+  loadOfflineLevels,
+  loadOfflineLevel,
+  startOfflineRun,
+  checkOfflineGuess,
+  countQueuedRuns,
+  syncQueuedRuns,
+} from "./offline-runs.js";
+import { displayHudCharacters, markHudCharacterFound } from "./hud.js";
+import {
+  loadCharacters,
+  getCharacter,
+  getCharacterName,
+} from "./characters.js";
+import {
+  loadSceneTiles,
+  getTileUrl,
+  initSceneTiles,
+  setSceneTiles,
+  updateSceneTiles,
+} from "./scene-tiles.js";
+import {
+  openCharacterPicker,
+  closeCharacterPicker,
+  isCharacterPickerOpen,
+} from "./character-picker.js";
+import {
+  createCrosshair,
+  resetCrosshair,
+  moveCrosshair,
+  getCrosshairPoint,
+} from "./scene-crosshair.js";
+import {
+  initSceneViewport,
+  setViewportImage,
+  zoomIn,
+  zoomOut,
+  resetZoom,
+  panToImagePoint,
+} from "./scene-viewport.js";
+import {
+  listenToOpenMatches,
+  listenToMatch,
+  createMatch,
+  joinMatch,
+  leaveMatch,
+  startMatch,
+  checkMatchGuess,
+} from "./matches.js";
+import {
+  getTodayId,
+  loadDailyChallenge,
+  loadDailyState,
+} from "./daily-challenge.js";
+import {
+  loadUserProgress,
+  loadUserBadges,
+  getProgressStats,
+} from "./user-progress.js";
 
 // Signs-in Friendly Chat.
 async function signIn() {
@@ -67,6 +173,17 @@ function initFirebaseAuth() {
   onAuthStateChanged(getAuth(), authStateObserver);
 }
 
+// Resolves once the auth state of the user is known, e.g. once a signed-in
+// user has been restored after a page reload.
+function waitForAuthState() {
+  return new Promise((resolve) => {
+    const unsubscribe = onAuthStateChanged(getAuth(), () => {
+      unsubscribe();
+      resolve();
+    });
+  });
+}
+
 // Returns the signed-in user's profile Pic URL.
 function getProfilePicUrl() {
   return getAuth().currentUser.photoURL || "/images/profile_placeholder.png";
@@ -77,6 +194,12 @@ function getUserName() {
   return getAuth().currentUser.displayName;
 }
 
+// Returns true if the signed-in user is an admin, allowed to edit levels.
+async function isUserAdmin() {
+  const idTokenResult = await getIdTokenResult(getAuth().currentUser);
+  return idTokenResult.claims.admin === true;
+}
+
 // Returns true if a user is signed-in.
 function isUserSignedIn() {
   return !!getAuth().currentUser;
@@ -161,10 +284,29 @@ async function saveImageMessage(file) {
   }
 }
 
+// Registers the service worker, which receives the notifications and caches
+// the app and the scene images to play offline. Resolves with its
+// registration, or null if service workers aren't supported.
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) {
+    return null;
+  }
+  try {
+    return await navigator.serviceWorker.register("/firebase-messaging-sw.js");
+  } catch (error) {
+    console.error("Unable to register the service worker", error);
+    return null;
+  }
+}
+
 // Saves the messaging device token to Cloud Firestore.
 async function saveMessagingDeviceToken() {
   try {
-    const currentToken = await getToken(getMessaging());
+    const serviceWorkerRegistration = await serviceWorkerReady;
+    const currentToken = await getToken(
+      getMessaging(),
+      serviceWorkerRegistration ? { serviceWorkerRegistration } : {}
+    );
     if (currentToken) {
       console.log("Got FCM device token:", currentToken);
       // Saving the Device Token to Cloud Firestore.
@@ -255,22 +397,48 @@ function authStateObserver(user) {
     userNameElement.removeAttribute("hidden");
     userPicElement.removeAttribute("hidden");
     signOutButtonElement.removeAttribute("hidden");
+    showProfileButtonElement.removeAttribute("hidden");
+    submitSceneButtonElement.removeAttribute("hidden");
 
     // Hide sign-in button.
     signInButtonElement.setAttribute("hidden", "true");
 
+    // Show the level editor button to admins.
+    isUserAdmin().then(function (isAdmin) {
+      if (isAdmin) {
+        editLevelsButtonElement.removeAttribute("hidden");
+        reviewScenesButtonElement.removeAttribute("hidden");
+      }
+    });
+
     // We save the Firebase Messaging Device token and enable notifications.
     saveMessagingDeviceToken();
+
+    // Post the runs played offline, and offer to download scenes to play
+    // offline.
+    syncOfflineRuns();
   } else {
     // User is signed out!
     // Hide user's profile and sign-out button.
     userNameElement.setAttribute("hidden", "true");
     userPicElement.setAttribute("hidden", "true");
     signOutButtonElement.setAttribute("hidden", "true");
+    editLevelsButtonElement.setAttribute("hidden", "true");
+    reviewScenesButtonElement.setAttribute("hidden", "true");
+    submitSceneButtonElement.setAttribute("hidden", "true");
+    showProfileButtonElement.setAttribute("hidden", "true");
+    profileElement.setAttribute("hidden", "true");
 
     // Show sign-in button.
     signInButtonElement.removeAttribute("hidden");
   }
+  updateOfflineStatus();
+  displayOfflinePicker();
+
+  // The daily challenge is only scored for signed-in users.
+  if (!levelPickerElement.hasAttribute("hidden")) {
+    displayDailyChallenge();
+  }
 }
 
 // Returns true if user is signed-in. Otherwise false and displays a message.
@@ -382,6 +550,11 @@ function displayMessage(id, timestamp, name, text, picUrl, imageUrl) {
     messageElement.textContent = text;
     // Replace all line breaks by <br>.
     messageElement.innerHTML = messageElement.innerHTML.replace(/\n/g, "<br>");
+    // Unfurl the links to shared results into their card.
+    var resultId = findResultId(text);
+    if (resultId) {
+      messageElement.appendChild(createResultCardLink(resultId));
+    }
   } else if (imageUrl) {
     // If the message is an image.
     var image = document.createElement("img");
@@ -400,6 +573,23 @@ function displayMessage(id, timestamp, name, text, picUrl, imageUrl) {
   //messageInputElement.focus();
 }
 
+// Creates a link to a shared result, showing the card of the result.
+function createResultCardLink(resultId) {
+  var link = document.createElement("a");
+  link.className = "result-card";
+  link.href = getResultUrl(resultId);
+  link.target = "_blank";
+  link.rel = "noopener";
+  var image = document.createElement("img");
+  image.src = getResultCardUrl(resultId);
+  image.alt = "Shared result";
+  image.addEventListener("load", function () {
+    messageListElement.scrollTop = messageListElement.scrollHeight;
+  });
+  link.appendChild(image);
+  return link;
+}
+
 // Enables or disables the submit button depending on the values of the input
 // fields.
 function toggleButton() {
@@ -422,12 +612,20 @@ var userPicElement = document.getElementById("user-pic");
 var userNameElement = document.getElementById("user-name");
 var signInButtonElement = document.getElementById("sign-in");
 var signOutButtonElement = document.getElementById("sign-out");
+var editLevelsButtonElement = document.getElementById("edit-levels");
+var showProfileButtonElement = document.getElementById("show-profile");
+var submitSceneButtonElement = document.getElementById("submit-scene");
+var reviewScenesButtonElement = document.getElementById("review-scenes");
 var signInSnackbarElement = document.getElementById("must-signin-snackbar");
 
 // Saves message on form submit.
 messageFormElement.addEventListener("submit", onMessageFormSubmit);
 signOutButtonElement.addEventListener("click", signOutUser);
 signInButtonElement.addEventListener("click", signIn);
+editLevelsButtonElement.addEventListener("click", onEditLevelsClick);
+showProfileButtonElement.addEventListener("click", showProfile);
+submitSceneButtonElement.addEventListener("click", openSceneSubmission);
+reviewScenesButtonElement.addEventListener("click", onReviewScenesClick);
 
 // Toggle for the button.
 messageInputElement.addEventListener("keyup", toggleButton);
@@ -445,197 +643,1677 @@ const firebaseAppConfig = getFirebaseConfig();
 
 //--------WHERE'S WALLY?---------------------------------------------------------
 
-// Save the points of interest in Firestore
-async function savePointsOfInterest(pointsOfInterest) {
-  try {
-    const collectionRef = collection(getFirestore(), "pointsOfInterest");
-    await Promise.all(
-      pointsOfInterest.map(async (point) => {
-        await addDoc(collectionRef, point);
-      })
-    );
-    console.log("Points of interest saved successfully");
-  } catch (error) {
-    console.error("Error saving points of interest to Firestore", error);
-  }
-}
-
 // Define the displayImage function
 function displayImage(imageUrl) {
-  const imageElement = document.getElementById("waldo-image");
+  const imageElement = document.getElementById("scene-content");
   imageElement.style.backgroundImage = `url(${imageUrl})`;
   imageElement.style.backgroundSize = "cover";
   imageElement.style.backgroundPosition = "center";
-  imageElement.style.width = "100%";
-  imageElement.style.height = "100%";
 }
 
+// Natural size of the scene image, needed to map clicks to image coordinates.
+let sceneImageSize = null;
+
+// The level catalogue, the level being played and the characters found in it.
+let levels = [];
+let currentLevel = null;
+const foundCharacters = new Set();
+
+// Marks the characters found in the scene, and the finds of the current level
+// saved to resume the game after a reload.
+let markerOverlayElement = null;
+let finds = [];
+
+// The hints given in the current level, by character, with the region of the
+// scene they highlight.
+let hints = {};
+
+// Crosshair moved over the scene with the keyboard.
+let crosshairOverlayElement = null;
+
+// Distance the crosshair moves on each arrow key press, as a fraction of the
+// image, and while holding Shift.
+const CROSSHAIR_STEP = 0.01;
+const CROSSHAIR_FAST_STEP = 0.05;
+
+// The game session of the current level, timed by the server, and the clock
+// displayed while playing. Players who aren't signed in prove the session is
+// theirs with its key.
+let gameSessionId = null;
+let gameSessionKey = null;
+let gameStartTime = null;
+let gameTimerInterval = null;
+
+// Stop listening to the leaderboards of the previous level.
+let unsubscribeLeaderboard = null;
+let unsubscribeOfflineLeaderboard = null;
+
+// Today's daily challenge offered in the level picker, and the day of the
+// daily challenge being played, if any.
+let todaysChallenge = null;
+let dailyChallengeDate = null;
+
+// The race followed, from its lobby to its end, and whether its scene was
+// loaded. Races are followed through real-time listeners, like the chat.
+let currentMatch = null;
+let raceStarted = false;
+let unsubscribeMatch = null;
+let unsubscribeOpenMatches = null;
+
+// The replay being watched, if any, and the function stopping its playback.
+let currentReplay = null;
+let stopReplayPlayback = null;
+
+// The run played offline, checked on the device until it can be posted.
+let offlineRun = null;
+
+// The game session of the completed run the player can share.
+let sharedSessionId = null;
+
 // Initialize the game
 async function initializeGame() {
-  // Display the image
-  const imageUrl = "https://images4.alphacoders.com/645/thumb-1920-64574.jpg";
-  displayImage(imageUrl);
-
   // Set up event listener for click on the image
   const imageElement = document.getElementById("waldo-image");
   imageElement.addEventListener("click", handleImageClick);
-  imageElement.style.cursor = "crosshair";
+  imageElement.addEventListener("keydown", handleImageKeydown);
+  sceneContentElement.style.cursor = "crosshair";
+  markerOverlayElement = createMarkerOverlay(sceneContentElement);
+  crosshairOverlayElement = createCrosshair(sceneContentElement);
+
+  // Let the player zoom into the scene and pan around it, loading the tiles
+  // of the scene that come into view.
+  initSceneTiles(imageElement, sceneContentElement);
+  initSceneViewport(
+    imageElement,
+    sceneContentElement,
+    sceneMinimapElement,
+    onSceneViewportChange
+  );
 
-  // Retrieve points of interest from Firestore
+  // Retrieve the character catalogue, kept in the browser for offline play.
   try {
-    const collectionRef = collection(getFirestore(), "pointsOfInterest");
-    const pointsOfInterestSnapshot = await getDocs(collectionRef);
-    const pointsOfInterest = pointsOfInterestSnapshot.docs.map((doc) =>
-      doc.data()
-    );
+    await loadCharacters();
+  } catch (error) {
+    console.error("Error retrieving the character catalogue", error);
+  }
+
+  // Retrieve the level catalogue from Firestore, or from the offline pack
+  // when offline.
+  try {
+    levels = await loadLevels();
+  } catch (error) {
+    console.error("Error retrieving levels from Firestore", error);
+  }
+  if (levels.length === 0 && !navigator.onLine) {
+    try {
+      levels = await loadOfflineLevels();
+    } catch (error) {
+      console.error("Error retrieving the offline levels", error);
+    }
+  }
+
+  // Resume the game in progress when the page was reloaded mid-game. The
+  // game session belongs to the user who started it.
+  await waitForAuthState();
+  if (!resumeSavedGame() && !(await playTutorialIfNew())) {
+    showLevelPicker();
+  }
+}
+
+// Resumes the game saved in progress, if any. Returns false if there is none.
+function resumeSavedGame() {
+  const progress = loadProgress();
+  const level = progress && levels.find(({ id }) => id === progress.levelId);
+  if (!level) {
+    return false;
+  }
+  startLevel(level, progress, progress.daily || null);
+  return true;
+}
 
-    // Save the retrieved points of interest in a global variable
-    window.pointsOfInterest = pointsOfInterest;
+// Starts the tutorial level for players who haven't completed or skipped the
+// tutorial yet. Resolves with false if the tutorial isn't played.
+async function playTutorialIfNew() {
+  await waitForAuthState();
+  if (await hasCompletedTutorial()) {
+    return false;
+  }
+  let level;
+  try {
+    level = await loadTutorialLevel();
   } catch (error) {
-    console.error("Error retrieving points of interest from Firestore", error);
+    console.error("Error retrieving the tutorial level", error);
+  }
+  if (!level) {
+    return false;
   }
+  await startLevel(level);
+  if (currentLevel === level) {
+    startTutorial(showLevelPicker);
+  }
+  return true;
 }
-// Event handler for click on the image
-function handleImageClick(event) {
-  const { pageX, pageY } = event;
-  const toolboxSize = 100; // Size of the toolbox (100px x 100px)
 
-  // Check if there is an existing modal
-  const existingModal = document.querySelector(".modal");
-  if (existingModal) {
-    existingModal.parentNode.removeChild(existingModal);
+// Closes the picker when the scene is zoomed or panned, as it would no longer
+// point at the guess, and loads the tiles of the scene coming into view.
+function onSceneViewportChange() {
+  closeCharacterPicker();
+  updateSceneTiles();
+}
+
+// Displays the list of levels to choose from.
+function showLevelPicker() {
+  hideTutorial();
+  stopReplay();
+  displayLevelList();
+  stopFollowingMatch();
+  displayDailyChallenge();
+  displayOfflinePicker();
+  if (!unsubscribeOpenMatches) {
+    unsubscribeOpenMatches = listenToOpenMatches(displayOpenMatches);
   }
 
-  // Create and display the modal at the cursor location
-  const modal = createModal(pageX, pageY);
-  const imageElement = document.getElementById("waldo-image"); // or document.querySelector("main")
-  imageElement.appendChild(modal);
+  stopGameTimer();
+  closeCharacterPicker();
+  levelCompleteElement.setAttribute("hidden", "true");
+  gameContainerElement.setAttribute("hidden", "true");
+  levelPickerElement.removeAttribute("hidden");
+}
 
-  // Add event listener to handle option selection
-  modal.addEventListener("click", (event) =>
-    handleOptionSelection(event, toolboxSize, pageX, pageY)
+// Lists the levels to play and to race on in the level picker, but today's
+// daily challenge: its scene is only played as the challenge until the day is
+// over.
+async function displayLevelList() {
+  let challenge = null;
+  try {
+    challenge = await loadDailyChallenge(getTodayId());
+  } catch (error) {
+    console.error("Error loading the daily challenge", error);
+  }
+  const playableLevels = levels.filter(
+    ({ id }) => !challenge || challenge.levelId !== id
   );
+  levelListElement.innerHTML = "";
+  playableLevels.forEach((level) => {
+    const button = document.createElement("button");
+    button.className =
+      "level-button mdl-button mdl-js-button mdl-button--raised mdl-js-ripple-effect";
+    button.textContent = level.name;
+
+    const difficulty = document.createElement("span");
+    difficulty.className = `level-difficulty level-difficulty--${level.difficulty}`;
+    difficulty.textContent = level.difficulty;
+    button.appendChild(difficulty);
+
+    // Scenes submitted by players credit their author.
+    if (level.author) {
+      const author = document.createElement("span");
+      author.className = "level-author";
+      author.textContent = `by ${level.author.name}`;
+      button.appendChild(author);
+    }
 
-  console.log(pageX);
-  console.log(pageY);
-}
-
-// Create and display the modal at the specified location
-function createModal(x, y) {
-  const modal = document.createElement("div");
-  modal.className = "modal";
-  modal.style.position = "fixed";
-  modal.style.left = x + "px";
-  modal.style.top = y - 100 + "px";
-
-  // Create and append the list of options
-  const options = ["Wally", "Wilma", "Wizard"];
-  const list = document.createElement("ul");
-  list.style.listStyle = "none";
-  list.style.padding = "0";
-  list.style.backgroundColor = "blue";
-  list.style.color = "blue";
-
-  options.forEach((option) => {
-    const listItem = document.createElement("li");
-    listItem.textContent = option;
-    listItem.style.backgroundColor = "blue";
-    listItem.style.color = "white";
-    listItem.style.padding = "10px";
-    listItem.style.cursor = "pointer";
-
-    // Add hover styles
-    listItem.addEventListener("mouseover", () => {
-      listItem.style.backgroundColor = "white";
-      listItem.style.color = "red";
+    button.addEventListener("click", () => startLevel(level));
+    levelListElement.appendChild(button);
+  });
+
+  raceLevelSelectElement.innerHTML = "";
+  playableLevels.forEach((level) => {
+    const option = document.createElement("option");
+    option.value = level.id;
+    option.textContent = level.name;
+    raceLevelSelectElement.appendChild(option);
+  });
+}
+
+// Displays today's daily challenge in the level picker, with the streak of
+// the player.
+async function displayDailyChallenge() {
+  const todayId = getTodayId();
+  todaysChallenge = null;
+  playDailyChallengeButtonElement.setAttribute("hidden", "true");
+  try {
+    const challenge = await loadDailyChallenge(todayId);
+    const level =
+      challenge && levels.find(({ id }) => id === challenge.levelId);
+    if (!level) {
+      dailyChallengeStatusElement.textContent =
+        "Today's challenge isn't ready yet, come back later.";
+      return;
+    }
+    if (!isUserSignedIn()) {
+      dailyChallengeStatusElement.textContent = `Today's scene is ${level.name}. Sign in to take the challenge and build a streak.`;
+      return;
+    }
+
+    const state = await loadDailyState(getAuth().currentUser.uid, todayId);
+    const streak = `Your streak: ${state.currentStreak} day${
+      state.currentStreak === 1 ? "" : "s"
+    } (best: ${state.bestStreak}).`;
+    if (state.playedToday) {
+      dailyChallengeStatusElement.textContent = `You took today's challenge on ${level.name}, come back tomorrow! ${streak}`;
+      return;
+    }
+    dailyChallengeStatusElement.textContent = `Today's scene is ${level.name}. You get one scored attempt. ${streak}`;
+    todaysChallenge = { date: todayId, level };
+    playDailyChallengeButtonElement.removeAttribute("hidden");
+  } catch (error) {
+    console.error("Error loading the daily challenge", error);
+    dailyChallengeStatusElement.textContent =
+      "Unable to load today's challenge.";
+  }
+}
+
+// Starts today's daily challenge.
+function onPlayDailyChallengeClick() {
+  if (todaysChallenge) {
+    startLevel(todaysChallenge.level, null, todaysChallenge.date);
+  }
+}
+
+// Stops listening to the races waiting for players.
+function stopListeningToOpenMatches() {
+  if (unsubscribeOpenMatches) {
+    unsubscribeOpenMatches();
+    unsubscribeOpenMatches = null;
+  }
+}
+
+// Displays the races waiting for players, offering to join them.
+function displayOpenMatches(matches) {
+  openMatchesElement.innerHTML = "";
+  matches.forEach((match) => {
+    const item = document.createElement("li");
+    item.className = "open-match";
+
+    const host = match.players[match.hostUid];
+    const playerCount = Object.keys(match.players).length;
+    const description = document.createElement("span");
+    description.textContent = `${match.levelName}, opened by ${
+      host ? host.name : "Anonymous"
+    } (${playerCount} player${playerCount === 1 ? "" : "s"})`;
+    item.appendChild(description);
+
+    const button = document.createElement("button");
+    button.className = "mdl-button mdl-js-button mdl-button--colored";
+    button.textContent = "Join";
+    button.addEventListener("click", () => onJoinMatchClick(match.id));
+    item.appendChild(button);
+
+    openMatchesElement.appendChild(item);
+  });
+}
+
+// Opens a race on the level chosen in the level picker, and waits in its
+// lobby for other players to join.
+async function onCreateMatchClick() {
+  if (!checkSignedInWithMessage() || !raceLevelSelectElement.value) {
+    return;
+  }
+  try {
+    const matchId = await createMatch(raceLevelSelectElement.value);
+    followMatch(matchId);
+  } catch (error) {
+    console.error("Error opening a race", error);
+    showGameMessage(
+      error.code === "functions/failed-precondition"
+        ? "Today's challenge can't be raced on, pick another level."
+        : "Unable to open the race, please try again."
+    );
+  }
+}
+
+// Joins the given race, and waits in its lobby for the host to start it.
+async function onJoinMatchClick(matchId) {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+  try {
+    await joinMatch(matchId);
+    followMatch(matchId);
+  } catch (error) {
+    console.error("Error joining the race", error);
+    showGameMessage(
+      error.code === "functions/resource-exhausted"
+        ? "This race is full."
+        : "Unable to join the race, please try again."
+    );
+  }
+}
+
+// Starts the race of the lobby, for its host.
+async function onStartMatchClick() {
+  try {
+    await startMatch(currentMatch.id);
+  } catch (error) {
+    console.error("Error starting the race", error);
+    showGameMessage(
+      error.code === "functions/failed-precondition"
+        ? "The level of the race is today's challenge, open another race."
+        : "Unable to start the race, please try again."
+    );
+  }
+}
+
+// Leaves the lobby of the race and goes back to the level picker.
+function onLeaveMatchClick() {
+  const matchId = currentMatch && currentMatch.id;
+  showLevelPicker();
+  if (matchId) {
+    leaveMatch(matchId).catch((error) => {
+      console.error("Error leaving the race", error);
     });
+  }
+}
 
-    listItem.addEventListener("mouseout", () => {
-      listItem.style.backgroundColor = "blue";
-      listItem.style.color = "white";
+// Follows the given race, from its lobby to its end.
+function followMatch(matchId) {
+  stopFollowingMatch();
+  stopListeningToOpenMatches();
+  levelPickerElement.setAttribute("hidden", "true");
+  unsubscribeMatch = listenToMatch(matchId, onMatchChange);
+}
+
+// Stops following the race, if any.
+function stopFollowingMatch() {
+  if (unsubscribeMatch) {
+    unsubscribeMatch();
+    unsubscribeMatch = null;
+  }
+  currentMatch = null;
+  raceStarted = false;
+  matchLobbyElement.setAttribute("hidden", "true");
+}
+
+// Updates the lobby or the scene with the latest state of the race.
+function onMatchChange(match) {
+  currentMatch = match;
+  if (match.status === "lobby") {
+    displayMatchLobby(match);
+  } else if (match.status === "cancelled") {
+    showLevelPicker();
+    showGameMessage("The race was cancelled by its host.");
+  } else if (!raceStarted) {
+    raceStarted = true;
+    startRace(match);
+  } else if (sceneImageSize) {
+    updateRace(match);
+  }
+}
+
+// Displays the players waiting in the lobby of the race. The host can start
+// the race once another player has joined.
+function displayMatchLobby(match) {
+  matchLobbyTitleElement.textContent = `Race on ${match.levelName}`;
+  matchPlayersElement.innerHTML = "";
+  const uids = Object.keys(match.players);
+  uids.forEach((uid) => {
+    const item = document.createElement("li");
+    item.textContent = match.players[uid].name;
+    if (uid === match.hostUid) {
+      item.textContent += " (host)";
+    }
+    matchPlayersElement.appendChild(item);
+  });
+
+  const isHost =
+    isUserSignedIn() && getAuth().currentUser.uid === match.hostUid;
+  if (isHost) {
+    startMatchButtonElement.removeAttribute("hidden");
+    startMatchButtonElement.disabled = uids.length < 2;
+    matchLobbyStatusElement.textContent =
+      uids.length < 2
+        ? "Waiting for other players to join..."
+        : "Start the race when everyone is here.";
+  } else {
+    startMatchButtonElement.setAttribute("hidden", "true");
+    matchLobbyStatusElement.textContent =
+      "Waiting for the host to start the race...";
+  }
+  matchLobbyElement.removeAttribute("hidden");
+}
+
+// Resets the game and displays the scene of the given level. Resolves with
+// the natural size of the scene image once it is loaded.
+async function loadScene(level) {
+  currentLevel = level;
+  foundCharacters.clear();
+  finds = [];
+  hints = {};
+  sceneImageSize = null;
+  gameSessionId = null;
+  gameSessionKey = null;
+  offlineRun = null;
+  sharedSessionId = null;
+  stopGameTimer();
+  stopReplay();
+  closeCharacterPicker();
+  stopListeningToOpenMatches();
+  gameTimerElement.textContent = formatTime(0);
+  displayHudCharacters(hudCharactersElement, level.characters);
+
+  levelPickerElement.setAttribute("hidden", "true");
+  levelCompleteElement.setAttribute("hidden", "true");
+  gameContainerElement.removeAttribute("hidden");
+
+  // Display the image. Scenes cut into tiles are displayed from their
+  // smallest tile while the tiles in view are loaded.
+  let tiles = null;
+  try {
+    tiles = await loadSceneTiles(level);
+  } catch (error) {
+    console.error(`Error loading the tiles of level ${level.id}`, error);
+  }
+  if (tiles) {
+    const previewUrl = getTileUrl(tiles, 0, 0, 0);
+    const tilesImageSize = { width: tiles.width, height: tiles.height };
+    displayImage(previewUrl);
+    setViewportImage(previewUrl, tilesImageSize);
+    setSceneTiles(tiles);
+    return tilesImageSize;
+  }
+  setSceneTiles(null);
+  const imageUrl = await getLevelImageUrl(level);
+  displayImage(imageUrl);
+  const imageSize = await loadImageSize(imageUrl);
+  setViewportImage(imageUrl, imageSize);
+  return imageSize;
+}
+
+// Loads the scene of the given level and starts playing it, or resumes the
+// game from the given saved progress. `daily` is the day of the daily
+// challenge played, if any.
+async function startLevel(level, progress = null, daily = null) {
+  if (!navigator.onLine) {
+    startOfflineLevel(level, daily);
+    return;
+  }
+  stopFollowingMatch();
+  dailyChallengeDate = daily;
+  hintButtonElement.removeAttribute("hidden");
+  stopListeningToLeaderboards();
+  if (daily) {
+    leaderboardTitleElement.textContent = "Today's leaderboard";
+    unsubscribeLeaderboard = listenToDailyLeaderboard(
+      daily,
+      displayLeaderboard
+    );
+  } else {
+    leaderboardTitleElement.textContent = "Leaderboard";
+    unsubscribeLeaderboard = listenToLeaderboard(level.id, displayLeaderboard);
+    unsubscribeOfflineLeaderboard = listenToOfflineLeaderboard(
+      level.id,
+      displayOfflineLeaderboard
+    );
+  }
+
+  try {
+    const imageSize = await loadScene(level);
+
+    // Start the clock once the scene is loaded.
+    const { sessionId, sessionKey } = progress
+      ? progress
+      : await startGameSession(level.id, daily);
+
+    // Ignore the result if another level was started in the meantime.
+    if (currentLevel === level && !gameSessionId) {
+      sceneImageSize = imageSize;
+      gameSessionId = sessionId;
+      gameSessionKey = sessionKey || null;
+      resetMarkerOverlay(markerOverlayElement, imageSize);
+      resetCrosshair(crosshairOverlayElement, imageSize);
+      startGameTimer(progress ? progress.startTime : Date.now());
+      if (progress) {
+        progress.finds.forEach(({ character, x, y }) => {
+          foundCharacters.add(character);
+          drawCircle(x, y, character);
+          markHudCharacterFound(hudCharactersElement, character);
+        });
+        finds = progress.finds;
+        hints = progress.hints || {};
+        Object.keys(hints).forEach((character) => {
+          showHintRegion(markerOverlayElement, hints[character], character);
+        });
+      }
+      saveLevelProgress();
+    }
+  } catch (error) {
+    console.error(`Error loading level ${level.id}`, error);
+    if (error.code === "functions/already-exists") {
+      showLevelPicker();
+      showGameMessage(
+        "You already took today's challenge, come back tomorrow!"
+      );
+    } else if (error.code === "functions/failed-precondition" && !daily) {
+      showLevelPicker();
+      showGameMessage(
+        `${level.name} is today's challenge, take it from the daily challenge.`
+      );
+    }
+  }
+}
+
+// Loads the scene of the given level from the offline pack and starts playing
+// it offline. The guesses are checked on the device and the run is queued
+// until it can be posted. Offline runs start over when the page is reloaded.
+async function startOfflineLevel(level, daily) {
+  stopFollowingMatch();
+  dailyChallengeDate = null;
+  hintButtonElement.setAttribute("hidden", "true");
+  leaderboardTitleElement.textContent = "Leaderboard";
+  leaderboardListElement.innerHTML = "";
+  stopListeningToLeaderboards();
+
+  let offlineLevel;
+  if (isUserSignedIn() && !daily) {
+    try {
+      offlineLevel = await loadOfflineLevel(level.id);
+    } catch (error) {
+      console.error(`Error retrieving the offline level ${level.id}`, error);
+    }
+  }
+  if (!offlineLevel) {
+    showLevelPicker();
+    showGameMessage(
+      daily
+        ? "The daily challenge can't be played offline."
+        : "This scene isn't available offline."
+    );
+    return;
+  }
+
+  try {
+    const imageSize = await loadScene(offlineLevel);
+
+    // Ignore the scene if another level was started in the meantime.
+    if (currentLevel === offlineLevel && !gameSessionId) {
+      sceneImageSize = imageSize;
+      offlineRun = startOfflineRun(getAuth().currentUser.uid, offlineLevel);
+      gameSessionId = offlineRun.runId;
+      resetMarkerOverlay(markerOverlayElement, imageSize);
+      resetCrosshair(crosshairOverlayElement, imageSize);
+      startGameTimer(offlineRun.startedAt);
+      clearProgress();
+      updateOfflineStatus();
+    }
+  } catch (error) {
+    console.error(`Error loading level ${level.id}`, error);
+  }
+}
+
+// Loads the scene of the race and starts racing on it.
+async function startRace(match) {
+  const level = levels.find(({ id }) => id === match.levelId);
+  if (!level) {
+    showLevelPicker();
+    showGameMessage("The scene of this race doesn't exist anymore.");
+    return;
+  }
+
+  matchLobbyElement.setAttribute("hidden", "true");
+  dailyChallengeDate = null;
+  hintButtonElement.setAttribute("hidden", "true");
+  leaderboardTitleElement.textContent = "Race";
+  stopListeningToLeaderboards();
+
+  try {
+    const imageSize = await loadScene(level);
+
+    // Ignore the scene if the race was left in the meantime.
+    if (
+      currentLevel === level &&
+      currentMatch &&
+      currentMatch.id === match.id
+    ) {
+      sceneImageSize = imageSize;
+      resetMarkerOverlay(markerOverlayElement, imageSize);
+      resetCrosshair(crosshairOverlayElement, imageSize);
+      startGameTimer(match.startedAt.toMillis());
+      updateRace(currentMatch);
+    }
+  } catch (error) {
+    console.error(`Error loading race ${match.id}`, error);
+  }
+}
+
+// Marks the characters found by the players of the race and displays their
+// standings, or the ranking once the race is finished.
+function updateRace(match) {
+  const uid = isUserSignedIn() ? getAuth().currentUser.uid : null;
+  Object.keys(match.claims).forEach((character) => {
+    if (foundCharacters.has(character)) {
+      return;
+    }
+    const claim = match.claims[character];
+    const foundBy = claim.uid === uid ? null : claim.name;
+    foundCharacters.add(character);
+    drawCircle(claim.x, claim.y, character, foundBy);
+    markHudCharacterFound(hudCharactersElement, character, foundBy);
+  });
+  displayRaceStandings(match, uid);
+
+  if (match.status === "finished" && gameTimerInterval) {
+    stopGameTimer();
+    gameTimerElement.textContent = formatTime(
+      match.finishedAt.toMillis() - match.startedAt.toMillis()
+    );
+    showRaceComplete(match, uid);
+  }
+}
+
+// Displays the number of characters found by each player of the race.
+function displayRaceStandings(match, uid) {
+  leaderboardListElement.innerHTML = "";
+  Object.keys(match.players)
+    .sort((a, b) => match.players[b].finds - match.players[a].finds)
+    .forEach((playerUid) => {
+      const item = document.createElement("li");
+      if (playerUid === uid) {
+        item.classList.add("own-score");
+      }
+
+      const name = document.createElement("span");
+      name.className = "leaderboard-name";
+      name.textContent = match.players[playerUid].name;
+      item.appendChild(name);
+
+      const finds = document.createElement("span");
+      finds.className = "leaderboard-time";
+      finds.textContent = match.players[playerUid].finds;
+      item.appendChild(finds);
+
+      leaderboardListElement.appendChild(item);
     });
+}
+
+// Displays the panel announcing the winner of the race and the player's
+// place.
+function showRaceComplete(match, uid) {
+  const winner = match.ranking[0];
+  const place = match.ranking.findIndex((player) => player.uid === uid) + 1;
+  levelCompleteMessageElement.textContent =
+    winner.uid === uid
+      ? `You won the race on ${match.levelName}!`
+      : `${winner.name} won the race on ${match.levelName}. You finished #${place}.`;
+  nextLevelButtonElement.setAttribute("hidden", "true");
+  shareResultButtonElement.setAttribute("hidden", "true");
+  levelCompleteElement.removeAttribute("hidden");
+}
 
-    list.appendChild(listItem);
+// Starts a game session on the server, which times the run and records the
+// characters found. For a daily challenge, the server checks that the player
+// didn't already take it. Resolves with the `sessionId` of the session, and
+// its `sessionKey` if the player isn't signed in.
+async function startGameSession(levelId, daily) {
+  const startGameSessionFunction = httpsCallable(
+    getFunctions(),
+    "startGameSession"
+  );
+  const result = await startGameSessionFunction(
+    daily ? { levelId, daily: true } : { levelId }
+  );
+  return result.data;
+}
+
+// Saves the progress of the current level, to resume it after a reload.
+// Offline runs aren't saved, their guesses are only kept in memory.
+function saveLevelProgress() {
+  if (offlineRun) {
+    return;
+  }
+  saveProgress({
+    levelId: currentLevel.id,
+    sessionId: gameSessionId,
+    sessionKey: gameSessionKey,
+    startTime: gameStartTime,
+    finds,
+    hints,
+    daily: dailyChallengeDate,
   });
+}
+
+// Starts the clock displayed while playing, from the given start time.
+function startGameTimer(startTime) {
+  gameStartTime = startTime;
+  gameTimerInterval = setInterval(function () {
+    gameTimerElement.textContent = formatTime(Date.now() - gameStartTime);
+  }, 100);
+}
 
-  modal.appendChild(list);
+// Stops the clock displayed while playing.
+function stopGameTimer() {
+  if (gameTimerInterval) {
+    clearInterval(gameTimerInterval);
+    gameTimerInterval = null;
+  }
+}
 
-  console.log("modal displayed :)");
-  return modal;
+// Displays the best scores of the current level.
+function displayLeaderboard(scores) {
+  displayScores(leaderboardListElement, scores);
 }
 
-// Handle option selection
-function handleOptionSelection(event, distanceThreshold, clickX, clickY) {
-  const selectedOption = event.target.textContent;
-
-  // Check if the selected option is near any point of interest
-  const selectedPoint = checkPointOfInterest(
-    clickX,
-    clickY,
-    distanceThreshold,
-    selectedOption
+// Displays the best scores of the runs played offline under the leaderboard,
+// if any.
+function displayOfflineLeaderboard(scores) {
+  displayScores(offlineLeaderboardListElement, scores);
+  offlineLeaderboardElement.toggleAttribute("hidden", scores.length === 0);
+}
+
+// Stops listening to the leaderboards of the previous level, and hides the
+// runs played offline.
+function stopListeningToLeaderboards() {
+  if (unsubscribeLeaderboard) {
+    unsubscribeLeaderboard();
+    unsubscribeLeaderboard = null;
+  }
+  if (unsubscribeOfflineLeaderboard) {
+    unsubscribeOfflineLeaderboard();
+    unsubscribeOfflineLeaderboard = null;
+  }
+  offlineLeaderboardElement.setAttribute("hidden", "true");
+}
+
+// Lists the given scores, with the replays of the runs.
+function displayScores(listElement, scores) {
+  listElement.innerHTML = "";
+  scores.forEach((score) => {
+    const item = document.createElement("li");
+    if (isUserSignedIn() && score.uid === getAuth().currentUser.uid) {
+      item.classList.add("own-score");
+    }
+
+    const name = document.createElement("span");
+    name.className = "leaderboard-name";
+    name.textContent = score.name;
+    item.appendChild(name);
+
+    const time = document.createElement("span");
+    time.className = "leaderboard-time";
+    time.textContent = formatTime(score.time);
+    if (score.penalty) {
+      time.title = `Including ${formatTime(score.penalty)} of hints`;
+    }
+    item.appendChild(time);
+
+    if (score.replay) {
+      const replay = document.createElement("button");
+      replay.className =
+        "leaderboard-replay mdl-button mdl-js-button mdl-button--icon";
+      replay.title = `Watch ${score.name}'s run`;
+      replay.innerHTML = '<i class="material-icons">play_circle</i>';
+      replay.addEventListener("click", () => watchReplay(score.id));
+      item.appendChild(replay);
+    }
+
+    listElement.appendChild(item);
+  });
+}
+
+// Watches the replay of the run with the given score id, animated over its
+// scene. The game in progress, if any, is resumed when the replay is closed,
+// though its clock keeps running on the server meanwhile.
+async function watchReplay(scoreId) {
+  let replay = null;
+  try {
+    replay = await loadReplay(scoreId);
+  } catch (error) {
+    console.error(`Error loading the replay of ${scoreId}`, error);
+    if (error.code === "permission-denied") {
+      // The replays of today's daily challenge show where the characters are.
+      showGameMessage("This replay can be watched once the day is over.");
+      return;
+    }
+  }
+  const level = replay && levels.find(({ id }) => id === replay.levelId);
+  if (!level) {
+    showGameMessage("This replay isn't available.");
+    return;
+  }
+
+  stopFollowingMatch();
+  hintButtonElement.setAttribute("hidden", "true");
+  try {
+    const imageSize = await loadScene(level);
+    // Ignore the replay if another level was started in the meantime.
+    if (currentLevel !== level || gameSessionId) {
+      return;
+    }
+    sceneImageSize = imageSize;
+    resetCrosshair(crosshairOverlayElement, imageSize);
+    currentReplay = replay;
+    replayTitleElement.textContent = `${replay.name}'s run`;
+    replayBarElement.removeAttribute("hidden");
+    startReplayPlayback();
+  } catch (error) {
+    console.error(`Error loading level ${level.id}`, error);
+  }
+}
+
+// Plays the replay being watched from its start, at the selected speed.
+function startReplayPlayback() {
+  if (stopReplayPlayback) {
+    stopReplayPlayback();
+  }
+  resetMarkerOverlay(markerOverlayElement, sceneImageSize);
+  displayHudCharacters(hudCharactersElement, currentLevel.characters);
+  const replay = currentReplay;
+  stopReplayPlayback = playReplay(
+    replay.guesses,
+    Number(replaySpeedElement.value),
+    (elapsed) => {
+      gameTimerElement.textContent = formatTime(elapsed);
+    },
+    (guess) => {
+      addGuessMarker(markerOverlayElement, guess.x, guess.y, guess.hit);
+      if (guess.hit) {
+        drawCircle(guess.x, guess.y, guess.character);
+        markHudCharacterFound(hudCharactersElement, guess.character);
+      }
+    },
+    () => {
+      stopReplayPlayback = null;
+      // The time of the run includes the penalty of its hints.
+      gameTimerElement.textContent = formatTime(replay.time);
+      showGameMessage("End of the replay.");
+    }
   );
-  if (selectedPoint) {
-    const message = `You found ${selectedPoint.character}!`;
-    showRewardMessage(message);
-    drawCircle(selectedPoint.x, selectedPoint.y);
+}
+
+// Stops the replay being watched, if any.
+function stopReplay() {
+  if (stopReplayPlayback) {
+    stopReplayPlayback();
+    stopReplayPlayback = null;
   }
+  currentReplay = null;
+  replayBarElement.setAttribute("hidden", "true");
+}
 
-  // Remove the modal from the DOM
-  const modal = event.target.closest(".modal");
-  modal.parentNode.removeChild(modal);
+// Closes the replay, back to the game in progress if there is one.
+function onCloseReplayClick() {
+  stopReplay();
+  if (!resumeSavedGame()) {
+    showLevelPicker();
+  }
 }
 
-function checkPointOfInterest(
-  clickX,
-  clickY,
-  distanceThreshold,
-  selectedOption
-) {
-  const pointsOfInterest = window.pointsOfInterest || [];
-  const imageElement = document.getElementById("waldo-image");
-  const imageRect = imageElement.getBoundingClientRect();
+// Displays the victory panel with the time of the run, offering to play the
+// next level, or with the daily streak of the player after a daily challenge.
+// Runs flagged as suspicious by the server aren't posted to the leaderboard,
+// and unranked runs go to the offline leaderboard.
+function showLevelComplete(time, dailyStreak, flagged, unranked) {
+  let nextLevel = dailyChallengeDate
+    ? null
+    : getNextLevel(levels, currentLevel);
+  let message;
+  if (currentLevel.tutorial) {
+    // The tutorial leads to the first level of the catalogue.
+    nextLevel = levels[0] || null;
+    message = `You found everyone in ${formatTime(
+      time
+    )}! You're ready for the real scenes.`;
+  } else if (dailyChallengeDate) {
+    message = `You completed today's challenge in ${formatTime(time)}!`;
+    if (dailyStreak) {
+      message += ` Your daily streak: ${dailyStreak.current} day${
+        dailyStreak.current === 1 ? "" : "s"
+      }.`;
+    }
+  } else {
+    message = `You found everyone in ${currentLevel.name} in ${formatTime(
+      time
+    )}!`;
+    if (!nextLevel) {
+      message += " That was the last scene!";
+    }
+  }
+  if (offlineRun) {
+    message +=
+      " Your time will be posted to the offline leaderboard once you're back online.";
+  } else if (flagged) {
+    message +=
+      " Your guesses looked automated, so this run wasn't posted to the leaderboard.";
+  } else if (unranked) {
+    message +=
+      " You downloaded this scene to play offline, so your time was posted to the offline leaderboard.";
+  } else if (!isUserSignedIn() && !currentLevel.tutorial) {
+    message += " Sign in to appear on the leaderboard.";
+  }
+  levelCompleteMessageElement.textContent = message;
+
+  if (nextLevel) {
+    nextLevelButtonElement.removeAttribute("hidden");
+  } else {
+    nextLevelButtonElement.setAttribute("hidden", "true");
+  }
+  if (sharedSessionId) {
+    shareResultButtonElement.removeAttribute("hidden");
+  } else {
+    shareResultButtonElement.setAttribute("hidden", "true");
+  }
+  levelCompleteElement.removeAttribute("hidden");
+}
+
+// Shares the completed run with the system share sheet, or else by copying
+// its link. The link unfurls into a card with the time of the run, in the
+// chat or anywhere else it is posted.
+async function onShareResultClick() {
+  const text = `I found everyone in ${currentLevel.name} in ${gameTimerElement.textContent}!`;
+  let url;
+  shareResultButtonElement.disabled = true;
+  try {
+    url = await shareResult(sharedSessionId);
+  } catch (error) {
+    console.error("Error sharing the run", error);
+    showGameMessage("Unable to share your run, please try again.");
+    return;
+  } finally {
+    shareResultButtonElement.disabled = false;
+  }
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: "Where's Wally?", text, url });
+    } catch (error) {
+      // The player closed the share sheet.
+    }
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+    showGameMessage("Link copied, paste it in the chat or anywhere else!");
+  } catch (error) {
+    showGameMessage(`Share your run with this link: ${url}`);
+  }
+}
+
+// Opens the level editor, refreshing the level catalogue when a level is
+// published.
+function onEditLevelsClick() {
+  openLevelEditor(levels, async function () {
+    levels = await loadLevels();
+    return levels;
+  });
+}
+
+// Opens the review queue of the scenes submitted by players, refreshing the
+// level catalogue when a scene is published.
+function onReviewScenesClick() {
+  openSubmissionReview(async function () {
+    levels = await loadLevels();
+    if (!levelPickerElement.hasAttribute("hidden")) {
+      showLevelPicker();
+    }
+  });
+}
+
+// Opens the profile panel of the signed-in user, with their game stats and
+// badges.
+async function showProfile() {
+  if (!checkSignedInWithMessage()) {
+    return;
+  }
+  profilePicElement.style.backgroundImage =
+    "url(" + addSizeToGoogleProfilePic(getProfilePicUrl()) + ")";
+  profileNameElement.textContent = getUserName();
+  profileStatsElement.innerHTML = "";
+  profileBadgesElement.innerHTML = "";
+  profileLevelsElement.innerHTML = "";
+  profileSubmissionsElement.innerHTML = "";
+  profileElement.removeAttribute("hidden");
+
+  const uid = getAuth().currentUser.uid;
+  try {
+    const [progress, dailyState, badges, submissions] = await Promise.all([
+      loadUserProgress(uid),
+      loadDailyState(uid, getTodayId()),
+      loadUserBadges(uid),
+      loadUserSubmissions(uid),
+    ]);
+    // The tutorial doesn't count as a scene.
+    const levelsProgress = progress.filter(
+      ({ levelId }) => levelId !== TUTORIAL_LEVEL_ID
+    );
+    const stats = getProgressStats(levelsProgress);
+    displayProfileStat(
+      "Scenes completed",
+      `${stats.levelsCompleted} / ${levels.length}`
+    );
+    displayProfileStat("Characters found", stats.finds);
+    displayProfileStat("Miss ratio", `${Math.round(stats.missRatio * 100)}%`);
+    displayProfileStat("Hints used", stats.hints);
+    displayProfileStat(
+      "Daily streak",
+      `${dailyState.currentStreak} (best: ${dailyState.bestStreak})`
+    );
+
+    badges.forEach((badge) => {
+      const item = document.createElement("li");
+      item.className = "profile-badge";
+      item.title = badge.description;
+      const icon = document.createElement("i");
+      icon.className = "material-icons";
+      icon.textContent = "military_tech";
+      item.appendChild(icon);
+      item.appendChild(document.createTextNode(badge.name));
+      profileBadgesElement.appendChild(item);
+    });
+
+    levelsProgress.forEach((levelProgress) => {
+      const level = levels.find(({ id }) => id === levelProgress.levelId);
+      const row = document.createElement("tr");
+      [
+        level ? level.name : levelProgress.levelId,
+        levelProgress.completions || 0,
+        typeof levelProgress.bestTime === "number"
+          ? formatTime(levelProgress.bestTime)
+          : "-",
+      ].forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      profileLevelsElement.appendChild(row);
+    });
+
+    submissions.forEach((submission) => {
+      const item = document.createElement("li");
+      item.textContent = `${submission.name}: ${submission.status}${
+        submission.reason ? ` (${submission.reason})` : ""
+      }`;
+      profileSubmissionsElement.appendChild(item);
+    });
+  } catch (error) {
+    console.error("Error loading the profile", error);
+    displayProfileStat("Unable to load your stats", "");
+  }
+}
+
+// Adds a stat to the profile panel.
+function displayProfileStat(label, value) {
+  const term = document.createElement("dt");
+  term.textContent = label;
+  profileStatsElement.appendChild(term);
+  const description = document.createElement("dd");
+  description.textContent = value;
+  profileStatsElement.appendChild(description);
+}
+
+// Closes the profile panel.
+function closeProfile() {
+  profileElement.setAttribute("hidden", "true");
+}
+
+// Starts the level following the current one.
+function onNextLevelClick() {
+  const nextLevel = getNextLevel(levels, currentLevel);
+  if (nextLevel) {
+    startLevel(nextLevel);
+  }
+}
+// Event handler for click on the image
+function handleImageClick(event) {
+  const { clientX, clientY } = event;
+
+  // Wait for the scene image to load and the game session to start before
+  // accepting guesses. Clicks on the minimap and zoom buttons aren't guesses.
+  if (!canGuess() || event.target.closest(".scene-controls")) {
+    return;
+  }
+
+  // Convert the click into normalized image coordinates. The scene content is
+  // the zoomed and panned element, so this holds at any zoom level.
+  const imagePoint = clientToImagePoint(
+    clientX,
+    clientY,
+    sceneContentElement,
+    sceneImageSize
+  );
+  if (!imagePoint) {
+    return;
+  }
+
+  openGuessPicker(clientX, clientY, imagePoint);
+}
+
+// Event handler for keys pressed on the image: the arrow keys move the
+// crosshair, Enter or Space guess at its position, + and - zoom in and out and
+// 0 zooms back out to the whole scene. Keys pressed on the zoom buttons are
+// left to them.
+function handleImageKeydown(event) {
+  if (
+    !canGuess() ||
+    isCharacterPickerOpen() ||
+    event.target !== waldoImageElement
+  ) {
+    return;
+  }
+  const step = event.shiftKey ? CROSSHAIR_FAST_STEP : CROSSHAIR_STEP;
+  switch (event.key) {
+    case "ArrowLeft":
+      moveCrosshairInView(-step, 0);
+      break;
+    case "ArrowRight":
+      moveCrosshairInView(step, 0);
+      break;
+    case "ArrowUp":
+      moveCrosshairInView(0, -step);
+      break;
+    case "ArrowDown":
+      moveCrosshairInView(0, step);
+      break;
+    case "+":
+    case "=":
+      zoomIn();
+      break;
+    case "-":
+      zoomOut();
+      break;
+    case "0":
+      resetZoom();
+      break;
+    case "Enter":
+    case " ": {
+      const imagePoint = getCrosshairPoint();
+      const clientPoint = imageToClientPoint(
+        imagePoint.x,
+        imagePoint.y,
+        sceneContentElement,
+        sceneImageSize
+      );
+      openGuessPicker(clientPoint.x, clientPoint.y, imagePoint);
+      break;
+    }
+    default:
+      return;
+  }
+  event.preventDefault();
+}
 
-  for (const point of pointsOfInterest) {
-    if (point.character === selectedOption) {
-      // Adjust the click coordinates relative to the image element
-      const adjustedClickX = clickX - imageRect.left;
-      const adjustedClickY = clickY - imageRect.top;
+// Moves the crosshair by the given normalized offsets, panning the zoomed scene
+// to keep it in view.
+function moveCrosshairInView(dx, dy) {
+  const { x, y } = moveCrosshair(crosshairOverlayElement, dx, dy);
+  panToImagePoint(x, y);
+}
+
+// Opens the character picker at the given viewport coordinates, to guess who
+// is at the given normalized image coordinates. Only the characters still to
+// find are listed.
+function openGuessPicker(clientX, clientY, imagePoint) {
+  const remainingCharacters = currentLevel.characters.filter(
+    (character) => !foundCharacters.has(character)
+  );
+  openCharacterPicker(
+    clientX,
+    clientY,
+    remainingCharacters,
+    (character) => {
+      waldoImageElement.focus({ preventScroll: true });
+      handleOptionSelection(character, imagePoint);
+    },
+    () => {
+      waldoImageElement.focus({ preventScroll: true });
+      if (currentLevel.tutorial) {
+        showTutorialStep("guess");
+      }
+    }
+  );
+  if (currentLevel.tutorial) {
+    showTutorialStep("pick");
+  }
+}
 
-      const distance = Math.sqrt(
-        (point.x - adjustedClickX) ** 2 + (point.y - adjustedClickY) ** 2
+// Returns true while guesses can be made: once the scene is loaded, during a
+// game session or a race.
+function canGuess() {
+  return (
+    !!sceneImageSize &&
+    (!!gameSessionId || (!!currentMatch && currentMatch.status === "playing"))
+  );
+}
+
+// Handle option selection
+async function handleOptionSelection(selectedOption, imagePoint) {
+  if (currentMatch) {
+    handleRaceGuess(selectedOption, imagePoint);
+    return;
+  }
+  const sessionId = gameSessionId;
+
+  // Check if the selected option is near its point of interest
+  const result = offlineRun
+    ? await checkOfflineRunGuess(selectedOption, imagePoint)
+    : await checkPointOfInterest(sessionId, selectedOption, imagePoint);
+  // Ignore the result if another game was started in the meantime.
+  if (sessionId !== gameSessionId) {
+    return;
+  }
+  if (result.invalidSession) {
+    // The saved game can't be resumed, e.g. it was started by another user.
+    clearProgress();
+    startLevel(currentLevel, null, dailyChallengeDate);
+  } else if (result.rateLimited) {
+    showGameMessage("Too many guesses, slow down!");
+  } else if (result.error) {
+    showGameMessage("Unable to check your guess, please try again.");
+  } else if (!result.hit) {
+    showGameMessage(
+      `That's not ${getCharacterName(selectedOption)}, keep looking!`
+    );
+    if (currentLevel.tutorial) {
+      showTutorialStep("miss");
+    }
+  } else {
+    showGameMessage(`You found ${getCharacterName(selectedOption)}!`);
+    drawCircle(result.x, result.y, selectedOption);
+    markHudCharacterFound(hudCharactersElement, selectedOption);
+
+    removeHintRegion(markerOverlayElement, selectedOption);
+    delete hints[selectedOption];
+    foundCharacters.add(selectedOption);
+    finds.push({ character: selectedOption, x: result.x, y: result.y });
+    saveLevelProgress();
+    if (result.completed) {
+      clearProgress();
+      if (currentLevel.tutorial) {
+        hideTutorial();
+        markTutorialCompleted();
+      }
+      // Runs posted to the leaderboard can be shared, but the daily runs, until
+      // the day is over.
+      sharedSessionId =
+        !offlineRun &&
+        !dailyChallengeDate &&
+        !result.flagged &&
+        !result.unranked &&
+        !currentLevel.tutorial &&
+        isUserSignedIn()
+          ? sessionId
+          : null;
+      // The time of the run is the one measured by the server.
+      stopGameTimer();
+      gameTimerElement.textContent = formatTime(result.time);
+      showLevelComplete(
+        result.time,
+        result.dailyStreak,
+        result.flagged,
+        result.unranked
       );
-      if (distance <= distanceThreshold) {
-        return point;
+      if (offlineRun) {
+        syncOfflineRuns();
       }
     }
   }
+}
 
-  return null;
+// Checks a guess made during the race. The character is marked once the race
+// is updated with the find.
+async function handleRaceGuess(character, imagePoint) {
+  const matchId = currentMatch.id;
+  let result;
+  try {
+    result = await checkMatchGuess(matchId, character, imagePoint);
+  } catch (error) {
+    console.error("Error checking the guess", error);
+    if (error.code === "functions/resource-exhausted") {
+      showGameMessage("Too many guesses, slow down!");
+    } else if (error.code === "functions/permission-denied") {
+      showGameMessage(
+        "You made too many guesses to keep guessing in this race."
+      );
+    } else {
+      showGameMessage("Unable to check your guess, please try again.");
+    }
+    return;
+  }
+  // Ignore the result if the race was left in the meantime.
+  if (!currentMatch || currentMatch.id !== matchId) {
+    return;
+  }
+  const name = getCharacterName(character);
+  if (result.hit) {
+    showGameMessage(`You found ${name}!`);
+  } else if (result.claimedBy) {
+    showGameMessage(`${result.claimedBy} found ${name} first!`);
+  } else {
+    showGameMessage(`That's not ${name}, keep looking!`);
+  }
 }
 
-// Show the reward message
-function showRewardMessage(message) {
-  // Display the message to the user
-  alert(message);
-  console.log(message);
+// Event handler for the hint button: asks which character to get a hint
+// about.
+function onHintClick() {
+  if (
+    !sceneImageSize ||
+    !gameSessionId ||
+    offlineRun ||
+    isCharacterPickerOpen()
+  ) {
+    return;
+  }
+  const remainingCharacters = currentLevel.characters.filter(
+    (character) => !foundCharacters.has(character)
+  );
+  const rect = hintButtonElement.getBoundingClientRect();
+  openCharacterPicker(
+    rect.left,
+    rect.bottom,
+    remainingCharacters,
+    (character) => {
+      hintButtonElement.focus();
+      requestHint(character);
+    },
+    () => hintButtonElement.focus()
+  );
 }
 
-// Draw a circle on the image at the given coordinates
-function drawCircle(x, y) {
-  // Draw a circle on the image at (x, y) using a canvas or other method
-  // Add your implementation here
+// Asks the server for a hint about where the character is, and highlights the
+// region of the scene it gives. Each hint adds a time penalty to the run.
+async function requestHint(character) {
+  const sessionId = gameSessionId;
+  let result;
+  try {
+    const getHint = httpsCallable(getFunctions(), "getHint");
+    result = (
+      await getHint({ sessionId, sessionKey: gameSessionKey, character })
+    ).data;
+  } catch (error) {
+    console.error("Error getting a hint", error);
+    showGameMessage(
+      error.code === "functions/resource-exhausted"
+        ? `There are no more hints for ${getCharacterName(character)}.`
+        : "Unable to get a hint, please try again."
+    );
+    return;
+  }
+  // Ignore the hint if another game was started, or the character found, in
+  // the meantime.
+  if (sessionId !== gameSessionId || foundCharacters.has(character)) {
+    return;
+  }
+
+  hints[character] = result.region;
+  showHintRegion(markerOverlayElement, result.region, character);
+  // The clock includes the penalties, like the time of the run.
+  gameStartTime -= result.penalty;
+  saveLevelProgress();
+  // The description of the character helps to spot them in the area.
+  const name = getCharacterName(character);
+  const { description } = getCharacter(character) || {};
+  showGameMessage(
+    `${name} is in the highlighted area (+${result.penalty / 1000} s). ${
+      description ? `${description} ` : ""
+    }${result.hintsLeft} hint${
+      result.hintsLeft === 1 ? "" : "s"
+    } left for ${name}.`
+  );
 }
 
-initializeApp(firebaseAppConfig);
+// Errors of the checkGuess function meaning the game session can't be played.
+const INVALID_SESSION_ERRORS = new Set([
+  "functions/not-found",
+  "functions/permission-denied",
+  "functions/failed-precondition",
+]);
+
+// Asks the server whether the character of the game session's level is at the
+// given normalized image coordinates. Points of interest can't be read by
+// clients, the server reveals the position of the character only once it is
+// found.
+async function checkPointOfInterest(sessionId, character, imagePoint) {
+  try {
+    const checkGuess = httpsCallable(getFunctions(), "checkGuess");
+    const result = await checkGuess({
+      sessionId,
+      sessionKey: gameSessionKey,
+      character,
+      x: imagePoint.x,
+      y: imagePoint.y,
+    });
+    return result.data;
+  } catch (error) {
+    console.error("Error checking the guess", error);
+    return {
+      hit: false,
+      error: true,
+      invalidSession: INVALID_SESSION_ERRORS.has(error.code),
+      rateLimited: error.code === "functions/resource-exhausted",
+    };
+  }
+}
+
+// Checks a guess of the offline run on the device.
+async function checkOfflineRunGuess(character, imagePoint) {
+  try {
+    return await checkOfflineGuess(
+      offlineRun,
+      currentLevel,
+      character,
+      imagePoint
+    );
+  } catch (error) {
+    console.error("Error saving the offline run", error);
+    return { hit: false, error: true };
+  }
+}
+
+// Posts the runs played offline by the signed-in player to the offline
+// leaderboard, when online.
+async function syncOfflineRuns() {
+  if (navigator.onLine && isUserSignedIn()) {
+    try {
+      const results = await syncQueuedRuns(getAuth().currentUser.uid);
+      if (results.length > 0) {
+        showGameMessage(
+          results.length === 1
+            ? "Your offline run was posted to the offline leaderboard."
+            : `Your ${results.length} offline runs were posted to the offline leaderboard.`
+        );
+      }
+    } catch (error) {
+      console.error("Unable to post the offline runs", error);
+    }
+  }
+  updateOfflineStatus();
+}
+
+// Lists the levels the signed-in player can download to play offline, but
+// today's daily challenge. The levels already downloaded stay checked, as
+// they can't be swapped for others.
+async function displayOfflinePicker() {
+  if (!isUserSignedIn() || !("caches" in window)) {
+    offlinePickerElement.setAttribute("hidden", "true");
+    return;
+  }
+  let offlineLevelIds = [];
+  try {
+    offlineLevelIds = (await loadOfflineLevels()).map(({ id }) => id);
+  } catch (error) {
+    console.error("Error retrieving the offline levels", error);
+  }
+  let challenge = null;
+  try {
+    challenge = await loadDailyChallenge(getTodayId());
+  } catch (error) {
+    console.error("Error loading the daily challenge", error);
+  }
+  offlineLevelsElement.innerHTML = "";
+  levels.forEach((level) => {
+    if (challenge && challenge.levelId === level.id) {
+      return;
+    }
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = level.id;
+    checkbox.checked = offlineLevelIds.includes(level.id);
+    checkbox.disabled = checkbox.checked;
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${level.name}`));
+    offlineLevelsElement.appendChild(label);
+  });
+  offlinePickerElement.removeAttribute("hidden");
+}
+
+// Downloads the scenes checked in the offline picker, only when the player
+// asks for them: the offline pack reveals where their characters are.
+async function onDownloadOfflinePackClick() {
+  const levelIds = Array.from(
+    offlineLevelsElement.querySelectorAll("input:checked")
+  ).map((checkbox) => checkbox.value);
+  if (levelIds.length === 0 || levelIds.length > MAX_OFFLINE_LEVELS) {
+    offlinePackStatusElement.textContent = `Choose between 1 and ${MAX_OFFLINE_LEVELS} scenes, including the ones already downloaded.`;
+    return;
+  }
+  if (!navigator.onLine) {
+    offlinePackStatusElement.textContent =
+      "Connect to the internet to download scenes.";
+    return;
+  }
+  try {
+    offlinePackStatusElement.textContent = "Downloading...";
+    await downloadOfflinePack(levelIds);
+    offlinePackStatusElement.textContent = `${levelIds.length} scene${
+      levelIds.length === 1 ? " is" : "s are"
+    } ready to play offline.`;
+  } catch (error) {
+    console.error("Unable to download the offline pack", error);
+    // E.g. too many scenes were downloaded, or one is today's challenge.
+    offlinePackStatusElement.textContent =
+      error.code === "functions/resource-exhausted" ||
+      error.code === "functions/failed-precondition"
+        ? error.message
+        : "Unable to download the scenes.";
+  }
+}
+
+// Displays in the HUD whether the game is offline, and whether scores are
+// waiting to be posted to the leaderboard.
+async function updateOfflineStatus() {
+  let pendingRuns = offlineRun && !offlineRun.completed ? 1 : 0;
+  if (isUserSignedIn()) {
+    try {
+      pendingRuns += await countQueuedRuns(getAuth().currentUser.uid);
+    } catch (error) {
+      console.error("Unable to count the offline runs", error);
+    }
+  }
+  if (pendingRuns > 0) {
+    offlineStatusElement.textContent = navigator.onLine
+      ? "Score pending"
+      : "Offline – score pending";
+  } else if (!navigator.onLine) {
+    offlineStatusElement.textContent = "Offline";
+  } else {
+    offlineStatusElement.setAttribute("hidden", "true");
+    return;
+  }
+  offlineStatusElement.removeAttribute("hidden");
+}
 
-const pointsOfInterest = [
-  { x: 941, y: 358, character: "Wally" },
-  { x: 640, y: 319, character: "Wilma" },
-  { x: 1407, y: 845, character: "Wizard" },
-];
+// Displays a message to the player using a Toast.
+function showGameMessage(message) {
+  var data = {
+    message: message,
+    timeout: 2000,
+  };
+  gameSnackbarElement.MaterialSnackbar.showSnackbar(data);
+}
+
+// Draw a circle on the image at the given normalized image coordinates. During
+// a race, `foundBy` is the name of the other player who found the character.
+function drawCircle(x, y, character, foundBy = null) {
+  addFoundMarker(markerOverlayElement, x, y, character, foundBy);
+}
+
+// Shortcuts to the game's DOM Elements.
+var levelPickerElement = document.getElementById("level-picker");
+var levelListElement = document.getElementById("level-list");
+var gameContainerElement = document.getElementById("game-container");
+var waldoImageElement = document.getElementById("waldo-image");
+var sceneContentElement = document.getElementById("scene-content");
+var sceneMinimapElement = document.getElementById("scene-minimap");
+var zoomInButtonElement = document.getElementById("zoom-in");
+var zoomOutButtonElement = document.getElementById("zoom-out");
+var gameTimerElement = document.getElementById("game-timer");
+var hintButtonElement = document.getElementById("hint-button");
+var offlineStatusElement = document.getElementById("offline-status");
+var replayBarElement = document.getElementById("replay-bar");
+var replayTitleElement = document.getElementById("replay-title");
+var replaySpeedElement = document.getElementById("replay-speed");
+var closeReplayButtonElement = document.getElementById("close-replay");
+var hudCharactersElement = document.getElementById("hud-characters");
+var gameSnackbarElement = document.getElementById("game-snackbar");
+var leaderboardListElement = document.getElementById("leaderboard-list");
+var offlineLeaderboardElement = document.getElementById("offline-leaderboard");
+var offlineLeaderboardListElement = document.getElementById(
+  "offline-leaderboard-list"
+);
+var levelCompleteElement = document.getElementById("level-complete");
+var levelCompleteMessageElement = document.getElementById(
+  "level-complete-message"
+);
+var nextLevelButtonElement = document.getElementById("next-level");
+var shareResultButtonElement = document.getElementById("share-result");
+var chooseLevelButtonElement = document.getElementById("choose-level");
+var leaderboardTitleElement = document.getElementById("leaderboard-title");
+var profileElement = document.getElementById("profile");
+var profilePicElement = document.getElementById("profile-pic");
+var profileNameElement = document.getElementById("profile-name");
+var profileStatsElement = document.getElementById("profile-stats");
+var profileBadgesElement = document.getElementById("profile-badges");
+var profileLevelsElement = document.querySelector("#profile-levels tbody");
+var profileSubmissionsElement = document.getElementById("profile-submissions");
+var closeProfileButtonElement = document.getElementById("close-profile");
+var dailyChallengeStatusElement = document.getElementById(
+  "daily-challenge-status"
+);
+var playDailyChallengeButtonElement = document.getElementById(
+  "play-daily-challenge"
+);
+var raceLevelSelectElement = document.getElementById("race-level-select");
+var createMatchButtonElement = document.getElementById("create-match");
+var offlinePickerElement = document.getElementById("offline-picker");
+var offlineLevelsElement = document.getElementById("offline-levels");
+var downloadOfflinePackButtonElement = document.getElementById(
+  "download-offline-pack"
+);
+var offlinePackStatusElement = document.getElementById("offline-pack-status");
+var openMatchesElement = document.getElementById("open-matches");
+var matchLobbyElement = document.getElementById("match-lobby");
+var matchLobbyTitleElement = document.getElementById("match-lobby-title");
+var matchPlayersElement = document.getElementById("match-players");
+var matchLobbyStatusElement = document.getElementById("match-lobby-status");
+var startMatchButtonElement = document.getElementById("start-match");
+var leaveMatchButtonElement = document.getElementById("leave-match");
+
+nextLevelButtonElement.addEventListener("click", onNextLevelClick);
+shareResultButtonElement.addEventListener("click", onShareResultClick);
+chooseLevelButtonElement.addEventListener("click", showLevelPicker);
+zoomInButtonElement.addEventListener("click", zoomIn);
+hintButtonElement.addEventListener("click", onHintClick);
+// Changing the speed of a replay plays it again from its start.
+replaySpeedElement.addEventListener("change", startReplayPlayback);
+closeReplayButtonElement.addEventListener("click", onCloseReplayClick);
+window.addEventListener("online", syncOfflineRuns);
+window.addEventListener("offline", updateOfflineStatus);
+closeProfileButtonElement.addEventListener("click", closeProfile);
+playDailyChallengeButtonElement.addEventListener(
+  "click",
+  onPlayDailyChallengeClick
+);
+createMatchButtonElement.addEventListener("click", onCreateMatchClick);
+downloadOfflinePackButtonElement.addEventListener(
+  "click",
+  onDownloadOfflinePackClick
+);
+startMatchButtonElement.addEventListener("click", onStartMatchClick);
+leaveMatchButtonElement.addEventListener("click", onLeaveMatchClick);
+zoomOutButtonElement.addEventListener("click", zoomOut);
 
-savePointsOfInterest(pointsOfInterest);
+initializeApp(firebaseAppConfig);
+const serviceWorkerReady = registerServiceWorker();
 
 // Call the initializeGame function
 initializeGame();
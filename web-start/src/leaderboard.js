@@ -0,0 +1,79 @@
+/**
+ * Access to the Where's Wally leaderboards.
+ *
+ * Each document of the `leaderboard` collection is the score of a completed
+ * run, posted by the `checkGuess` callable function:
+ *
+ *   - `uid`, `name`, `profilePicUrl`: the player.
+ *   - `levelId`: the level played.
+ *   - `time`: time taken to find all the characters, in milliseconds.
+ *   - `timestamp`: when the run was completed.
+ *   - `replay`: true if the replay of the run can be watched. Replays have
+ *     the id of their score.
+ *
+ * The `dailyLeaderboard` collection holds the scores of the daily challenges
+ * the same way, with the `date` of the challenge instead of the `levelId`.
+ * The `offlineLeaderboard` collection holds the scores of the runs played
+ * offline, posted by the `submitOfflineRun` function. They are timed by the
+ * player's device, which knew where the characters were, so they aren't
+ * ranked with the others.
+ */
+import {
+  getFirestore,
+  collection,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+} from "firebase/firestore";
+
+// Number of scores displayed on the leaderboard.
+export const LEADERBOARD_SIZE = 10;
+
+// Listens to the best scores of the given level. The callback is called with
+// the list of scores every time it changes. Returns a function that stops
+// listening.
+export function listenToLeaderboard(levelId, callback) {
+  return listenToScores("leaderboard", "levelId", levelId, callback);
+}
+
+// Listens to the best scores of the daily challenge of the given day, like
+// listenToLeaderboard.
+export function listenToDailyLeaderboard(dateId, callback) {
+  return listenToScores("dailyLeaderboard", "date", dateId, callback);
+}
+
+// Listens to the best scores of the runs of the given level played offline,
+// like listenToLeaderboard.
+export function listenToOfflineLeaderboard(levelId, callback) {
+  return listenToScores("offlineLeaderboard", "levelId", levelId, callback);
+}
+
+// Listens to the best scores of the given leaderboard collection having the
+// given value in the given field.
+function listenToScores(collectionName, field, value, callback) {
+  const leaderboardQuery = query(
+    collection(getFirestore(), collectionName),
+    where(field, "==", value),
+    orderBy("time"),
+    limit(LEADERBOARD_SIZE)
+  );
+  return onSnapshot(
+    leaderboardQuery,
+    (snapshot) => {
+      callback(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+    },
+    (error) => {
+      console.error("Error listening to the leaderboard", error);
+    }
+  );
+}
+
+// Formats a time in milliseconds as minutes, seconds and tenths of seconds.
+export function formatTime(time) {
+  const minutes = Math.floor(time / 60000);
+  const seconds = Math.floor((time % 60000) / 1000);
+  const tenths = Math.floor((time % 1000) / 100);
+  return `${minutes}:${String(seconds).padStart(2, "0")}.${tenths}`;
+}
@@ -0,0 +1,730 @@
+/**
+ * Level editor, used by admins to author Where's Wally levels.
+ *
+ * An editor uploads a scene image, adds the characters of the catalogue
+ * hidden in it and defines their hit regions on the scene: polygons are drawn
+ * by clicking their vertices, ellipses by dragging their bounding box. The preview tool checks
+ * clicks against the regions exactly like the `checkGuess` function does. The
+ * heatmap of the guesses made on a level can be shown over its scene, with the
+ * estimated difficulty of the level.
+ *
+ * Publishing is idempotent: the level and its points of interest are written
+ * with stable ids, and the points of interest the level no longer has are
+ * deleted. Only users with the `admin` custom claim can write levels, and
+ * edit the character catalogue from the editor.
+ *
+ * Players use the same editor to submit their own scenes: submitted scenes are
+ * reviewed by the admins before they are published.
+ */
+import {
+  getFirestore,
+  collection,
+  query,
+  where,
+  getDocs,
+  doc,
+  writeBatch,
+} from "firebase/firestore";
+import { getStorage, ref, uploadBytesResumable } from "firebase/storage";
+
+import { loadImageSize, clientToImagePoint } from "./scene-coordinates.js";
+import { getLevelImageUrl } from "./levels.js";
+import { submitScene } from "./submissions.js";
+import { loadLevelStats } from "./level-stats.js";
+import { formatTime } from "./leaderboard.js";
+import {
+  getCharacters,
+  getCharacterName,
+  findCharacterId,
+} from "./characters.js";
+import { openCharacterEditor } from "./character-editor.js";
+// Hit testing is shared with the checkGuess function, so that the preview
+// behaves exactly like the game.
+import {
+  isHit,
+  getCenter,
+  toNormalizedPoint,
+  DEFAULT_HIT_RADIUS,
+} from "wheres-wally-shared/hit-test.js";
+import { toId } from "wheres-wally-shared/ids.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Smallest ellipse radius accepted when dragging, as a fraction of the image.
+const MIN_ELLIPSE_RADIUS = 0.005;
+
+// The level being edited.
+let editedLevel = null;
+// The image chosen for the level, uploaded when the level is published.
+let sceneImageFile = null;
+let sceneImageSize = null;
+// The character new regions are added to.
+let selectedCharacter = null;
+// The polygon or ellipse being drawn.
+let draftPolygon = [];
+let draftEllipse = null;
+let dragStart = null;
+// The level catalogue, and the function called once a level is published,
+// which resolves with the updated catalogue.
+let catalogue = [];
+let onLevelPublished = null;
+// Whether a player is submitting a scene, rather than an admin editing levels.
+let submitting = false;
+// The analytics of the edited level, if any.
+let levelStats = null;
+
+// Opens the editor. `levels` is the level catalogue, `onPublished` is called
+// once a level is published and resolves with the updated catalogue.
+export function openLevelEditor(levels, onPublished) {
+  onLevelPublished = onPublished;
+  setSubmitting(false);
+  displayLevelOptions(levels);
+  openCharacterEditor(displayCharacterSuggestions);
+  displayCharacterSuggestions();
+  newLevel(levels.length + 1);
+  levelEditorElement.removeAttribute("hidden");
+}
+
+// Opens the editor for a player to submit a scene for review.
+export function openSceneSubmission() {
+  setSubmitting(true);
+  displayCharacterSuggestions();
+  newLevel(0);
+  levelEditorElement.removeAttribute("hidden");
+}
+
+// Switches the editor between editing levels and submitting a scene, which
+// hides the fields only admins can set.
+function setSubmitting(isSubmitting) {
+  submitting = isSubmitting;
+  editorTitleElement.textContent = submitting
+    ? "Submit a scene"
+    : "Level editor";
+  publishButtonElement.textContent = submitting
+    ? "Submit for review"
+    : "Publish";
+  levelEditorElement
+    .querySelectorAll(".editor-admin-field")
+    .forEach((field) => field.toggleAttribute("hidden", submitting));
+}
+
+// Lists the levels of the catalogue in the level select.
+function displayLevelOptions(levels) {
+  catalogue = levels;
+  levelSelectElement.innerHTML = '<option value="">New level</option>';
+  levels.forEach((level) => {
+    const option = document.createElement("option");
+    option.value = level.id;
+    option.textContent = level.name;
+    levelSelectElement.appendChild(option);
+  });
+}
+
+// Loads the level chosen in the level select.
+function onLevelSelected() {
+  const level = catalogue.find(({ id }) => id === levelSelectElement.value);
+  if (level) {
+    editLevel(level);
+  } else {
+    newLevel(catalogue.length + 1);
+  }
+}
+
+// Closes the editor.
+function closeLevelEditor() {
+  levelEditorElement.setAttribute("hidden", "true");
+}
+
+// Starts editing a new level, placed at the given order in the catalogue.
+function newLevel(order) {
+  editedLevel = {
+    id: "",
+    name: "",
+    difficulty: "easy",
+    order,
+    imagePath: null,
+    author: null,
+    characters: [],
+  };
+  sceneImageFile = null;
+  sceneImageSize = null;
+  levelStats = null;
+  editorSceneElement.style.backgroundImage = "";
+  displayLevel();
+}
+
+// Starts editing an existing level.
+async function editLevel(level) {
+  try {
+    setStatus(`Loading ${level.name}...`);
+    const imageUrl = await getLevelImageUrl(level);
+    const imageSize = await loadImageSize(imageUrl);
+
+    // Admins can read the points of interest.
+    const pointsSnapshot = await getDocs(
+      query(
+        collection(getFirestore(), "pointsOfInterest"),
+        where("levelId", "==", level.id)
+      )
+    );
+    const points = pointsSnapshot.docs.map((pointDoc) => pointDoc.data());
+    const stats = await loadLevelStats(level.id);
+
+    editedLevel = {
+      id: level.id,
+      name: level.name,
+      difficulty: level.difficulty,
+      order: level.order,
+      imagePath: level.imagePath,
+      author: level.author || null,
+      characters: level.characters.map((id) => ({
+        id,
+        regions: points
+          .filter((point) => point.character === id)
+          .map((point) => toRegion(point, imageSize)),
+      })),
+    };
+    sceneImageFile = null;
+    levelStats = stats;
+    setSceneImage(imageUrl, imageSize);
+    displayLevel();
+    setStatus("");
+  } catch (error) {
+    console.error(`Error loading level ${level.id}`, error);
+    setStatus(`Unable to load ${level.name}.`);
+  }
+}
+
+// Returns the hit region of a point of interest. Points of interest using the
+// radius model are converted to a circular ellipse.
+function toRegion(point, imageSize) {
+  if (point.region) {
+    return point.region;
+  }
+  const normalizedPoint = toNormalizedPoint(point, imageSize);
+  const radius = normalizedPoint.radius || DEFAULT_HIT_RADIUS;
+  return {
+    type: "ellipse",
+    cx: normalizedPoint.x,
+    cy: normalizedPoint.y,
+    rx: radius,
+    ry: (radius * imageSize.width) / imageSize.height,
+  };
+}
+
+// Displays the scene image on the editor's scene.
+function setSceneImage(imageUrl, imageSize) {
+  sceneImageSize = imageSize;
+  editorSceneElement.style.backgroundImage = `url(${imageUrl})`;
+  regionOverlayElement.setAttribute(
+    "viewBox",
+    `0 0 ${imageSize.width} ${imageSize.height}`
+  );
+}
+
+// Fills the editor's form and scene with the edited level.
+function displayLevel() {
+  levelIdElement.value = editedLevel.id;
+  levelIdElement.disabled = !!editedLevel.imagePath && !sceneImageFile;
+  levelNameElement.value = editedLevel.name;
+  levelDifficultyElement.value = editedLevel.difficulty;
+  levelOrderElement.value = editedLevel.order;
+  sceneImageInputElement.value = "";
+
+  selectedCharacter = editedLevel.characters[0] || null;
+  draftPolygon = [];
+  draftEllipse = null;
+  displayCharacters();
+  displayRegions();
+  displayLevelStats();
+}
+
+// Displays the estimated difficulty of the edited level and the stats of its
+// characters.
+function displayLevelStats() {
+  levelStatsElement.innerHTML = "";
+  if (!levelStats) {
+    levelStatsElement.textContent = "No stats yet.";
+    return;
+  }
+  const summary = document.createElement("li");
+  summary.textContent = levelStats.estimatedDifficulty
+    ? `Estimated difficulty: ${levelStats.estimatedDifficulty} (${levelStats.difficultyScore}/100), from ${levelStats.guesses} guesses in ${levelStats.days} days`
+    : `No guesses in ${levelStats.days} days`;
+  levelStatsElement.appendChild(summary);
+  Object.keys(levelStats.characters).forEach((id) => {
+    const stats = levelStats.characters[id];
+    const item = document.createElement("li");
+    item.textContent = `${getCharacterName(id)}: ${Math.round(
+      stats.missRate * 100
+    )}% missed`;
+    if (stats.medianFindTime !== null) {
+      item.textContent += `, found in ${formatTime(
+        stats.medianFindTime
+      )} (median)`;
+    }
+    levelStatsElement.appendChild(item);
+  });
+}
+
+// Displays the characters of the edited level.
+function displayCharacters() {
+  characterListElement.innerHTML = "";
+  editedLevel.characters.forEach((character) => {
+    const item = document.createElement("li");
+    item.classList.toggle("selected", character === selectedCharacter);
+
+    const name = document.createElement("button");
+    name.type = "button";
+    name.className = "editor-character-name mdl-button mdl-js-button";
+    name.textContent = `${getCharacterName(character.id)} (${
+      character.regions.length
+    })`;
+    name.title = "Add regions to this character";
+    name.addEventListener("click", () => {
+      selectedCharacter = character;
+      displayCharacters();
+      displayRegions();
+    });
+    item.appendChild(name);
+
+    const clear = document.createElement("button");
+    clear.type = "button";
+    clear.className = "mdl-button mdl-js-button";
+    clear.textContent = "Clear regions";
+    clear.addEventListener("click", () => {
+      character.regions = [];
+      displayCharacters();
+      displayRegions();
+    });
+    item.appendChild(clear);
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "mdl-button mdl-js-button";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      editedLevel.characters = editedLevel.characters.filter(
+        (candidate) => candidate !== character
+      );
+      if (selectedCharacter === character) {
+        selectedCharacter = editedLevel.characters[0] || null;
+      }
+      displayCharacters();
+      displayRegions();
+    });
+    item.appendChild(remove);
+
+    characterListElement.appendChild(item);
+  });
+}
+
+// Draws the regions of all the characters, and the region being drawn.
+function displayRegions() {
+  regionOverlayElement.innerHTML = "";
+  if (!sceneImageSize) {
+    return;
+  }
+  if (levelStats && showHeatmapElement.checked) {
+    displayHeatmap();
+  }
+  editedLevel.characters.forEach((character) => {
+    character.regions.forEach((region) => {
+      const shape = createRegionShape(region);
+      shape.classList.add("editor-region");
+      shape.classList.toggle("selected", character === selectedCharacter);
+      const title = document.createElementNS(SVG_NAMESPACE, "title");
+      title.textContent = getCharacterName(character.id);
+      shape.appendChild(title);
+      regionOverlayElement.appendChild(shape);
+    });
+  });
+
+  if (draftPolygon.length > 0) {
+    const shape = createRegionShape({ type: "polygon", points: draftPolygon });
+    shape.classList.add("editor-region", "draft");
+    regionOverlayElement.appendChild(shape);
+  }
+  if (draftEllipse) {
+    const shape = createRegionShape(draftEllipse);
+    shape.classList.add("editor-region", "draft");
+    regionOverlayElement.appendChild(shape);
+  }
+}
+
+// Draws the heatmap of the guesses made on the edited level: the more guesses
+// in a cell, the more opaque it is.
+function displayHeatmap() {
+  const { size, guesses, hits } = levelStats.heatmap;
+  const maxGuesses = Math.max(...guesses);
+  const cellWidth = sceneImageSize.width / size;
+  const cellHeight = sceneImageSize.height / size;
+  guesses.forEach((count, cell) => {
+    if (count === 0) {
+      return;
+    }
+    const rect = document.createElementNS(SVG_NAMESPACE, "rect");
+    rect.setAttribute("class", "editor-heatmap-cell");
+    rect.setAttribute("x", (cell % size) * cellWidth);
+    rect.setAttribute("y", Math.floor(cell / size) * cellHeight);
+    rect.setAttribute("width", cellWidth);
+    rect.setAttribute("height", cellHeight);
+    rect.setAttribute("fill-opacity", 0.1 + (0.6 * count) / maxGuesses);
+    const title = document.createElementNS(SVG_NAMESPACE, "title");
+    title.textContent = `${count} guesses, ${hits[cell]} hits`;
+    rect.appendChild(title);
+    regionOverlayElement.appendChild(rect);
+  });
+}
+
+// Creates the SVG shape of a region, in natural image pixels.
+function createRegionShape(region) {
+  const { width, height } = sceneImageSize;
+  if (region.type === "polygon") {
+    const polygon = document.createElementNS(SVG_NAMESPACE, "polygon");
+    polygon.setAttribute(
+      "points",
+      region.points
+        .map((point) => `${point.x * width},${point.y * height}`)
+        .join(" ")
+    );
+    return polygon;
+  }
+  const ellipse = document.createElementNS(SVG_NAMESPACE, "ellipse");
+  ellipse.setAttribute("cx", region.cx * width);
+  ellipse.setAttribute("cy", region.cy * height);
+  ellipse.setAttribute("rx", region.rx * width);
+  ellipse.setAttribute("ry", region.ry * height);
+  return ellipse;
+}
+
+// Returns the tool selected in the editor: "polygon", "ellipse" or "preview".
+function getSelectedTool() {
+  return levelEditorElement.querySelector('input[name="editor-tool"]:checked')
+    .value;
+}
+
+// Returns the normalized image coordinates of a pointer event on the scene.
+function getImagePoint(event) {
+  if (!sceneImageSize) {
+    return null;
+  }
+  return clientToImagePoint(
+    event.clientX,
+    event.clientY,
+    editorSceneElement,
+    sceneImageSize
+  );
+}
+
+// Adds a polygon vertex, starts dragging an ellipse or previews a guess.
+function onScenePointerDown(event) {
+  const imagePoint = getImagePoint(event);
+  if (!imagePoint) {
+    return;
+  }
+  const tool = getSelectedTool();
+  if (tool === "preview") {
+    previewGuess(imagePoint);
+    return;
+  }
+  if (!selectedCharacter) {
+    setStatus("Add a character before drawing its regions.");
+    return;
+  }
+  if (tool === "polygon") {
+    draftPolygon.push(imagePoint);
+  } else {
+    dragStart = imagePoint;
+    editorSceneElement.setPointerCapture(event.pointerId);
+  }
+  displayRegions();
+}
+
+// Resizes the ellipse being dragged.
+function onScenePointerMove(event) {
+  const imagePoint = dragStart && getImagePoint(event);
+  if (!imagePoint) {
+    return;
+  }
+  draftEllipse = {
+    type: "ellipse",
+    cx: (dragStart.x + imagePoint.x) / 2,
+    cy: (dragStart.y + imagePoint.y) / 2,
+    rx: Math.abs(imagePoint.x - dragStart.x) / 2,
+    ry: Math.abs(imagePoint.y - dragStart.y) / 2,
+  };
+  displayRegions();
+}
+
+// Adds the dragged ellipse to the selected character.
+function onScenePointerUp() {
+  if (
+    draftEllipse &&
+    draftEllipse.rx >= MIN_ELLIPSE_RADIUS &&
+    draftEllipse.ry >= MIN_ELLIPSE_RADIUS
+  ) {
+    selectedCharacter.regions.push(draftEllipse);
+    displayCharacters();
+  }
+  dragStart = null;
+  draftEllipse = null;
+  displayRegions();
+}
+
+// Adds the polygon being drawn to the selected character.
+function finishPolygon() {
+  if (draftPolygon.length < 3) {
+    setStatus("A polygon needs at least 3 vertices.");
+    return;
+  }
+  selectedCharacter.regions.push({ type: "polygon", points: draftPolygon });
+  draftPolygon = [];
+  setStatus("");
+  displayCharacters();
+  displayRegions();
+}
+
+// Tells which characters a guess at the given point would find.
+function previewGuess(imagePoint) {
+  const found = editedLevel.characters.filter((character) =>
+    character.regions.some((region) =>
+      isHit({ region }, imagePoint, sceneImageSize)
+    )
+  );
+  setStatus(
+    found.length > 0
+      ? `Hit: ${found.map(({ id }) => getCharacterName(id)).join(", ")}`
+      : "Miss"
+  );
+}
+
+// Suggests the names of the characters of the catalogue in the character
+// form.
+function displayCharacterSuggestions() {
+  characterSuggestionsElement.innerHTML = "";
+  getCharacters().forEach((character) => {
+    const option = document.createElement("option");
+    option.value = character.name;
+    characterSuggestionsElement.appendChild(option);
+  });
+}
+
+// Adds a character of the catalogue to the edited level.
+function onCharacterFormSubmit(event) {
+  event.preventDefault();
+  const name = characterNameElement.value.trim();
+  if (!name) {
+    return;
+  }
+  const id = findCharacterId(name);
+  if (!id) {
+    setStatus(`${name} isn't in the character catalogue.`);
+    return;
+  }
+  if (editedLevel.characters.some((character) => character.id === id)) {
+    setStatus(`${getCharacterName(id)} is already in the level.`);
+    return;
+  }
+  selectedCharacter = { id, regions: [] };
+  editedLevel.characters.push(selectedCharacter);
+  characterNameElement.value = "";
+  displayCharacters();
+  displayRegions();
+}
+
+// Displays the image chosen for the level.
+async function onSceneImageSelected(event) {
+  const file = event.target.files[0];
+  if (!file || !file.type.match("image.*")) {
+    setStatus("You can only use images as scenes.");
+    return;
+  }
+  try {
+    const imageUrl = URL.createObjectURL(file);
+    const imageSize = await loadImageSize(imageUrl);
+    sceneImageFile = file;
+    setSceneImage(imageUrl, imageSize);
+    displayRegions();
+  } catch (error) {
+    console.error("Error loading the scene image", error);
+    setStatus("Unable to load the scene image.");
+  }
+}
+
+// Returns an error message if the edited level can't be published.
+function validateLevel() {
+  if (!submitting && !editedLevel.id.match(/^[a-z0-9-]+$/)) {
+    return "The level id can only contain lowercase letters, digits and dashes.";
+  }
+  if (!editedLevel.name) {
+    return "The level needs a name.";
+  }
+  if (!sceneImageSize) {
+    return "The level needs a scene image.";
+  }
+  if (editedLevel.characters.length === 0) {
+    return "The level needs at least one character.";
+  }
+  const missing = editedLevel.characters.find(
+    (character) => character.regions.length === 0
+  );
+  if (missing) {
+    return `${getCharacterName(missing.id)} has no region.`;
+  }
+  return null;
+}
+
+// Uploads the scene image if needed, then writes the level and its points of
+// interest. Publishing the same level again overwrites it.
+async function publishLevel() {
+  editedLevel.id = levelIdElement.value.trim();
+  editedLevel.name = levelNameElement.value.trim();
+  editedLevel.difficulty = levelDifficultyElement.value;
+  editedLevel.order = Number(levelOrderElement.value);
+  const error = validateLevel();
+  if (error) {
+    setStatus(error);
+    return;
+  }
+  if (submitting) {
+    await submitEditedScene();
+    return;
+  }
+
+  try {
+    setStatus("Publishing...");
+    if (sceneImageFile) {
+      const imagePath = `levels/${editedLevel.id}/${sceneImageFile.name}`;
+      await uploadBytesResumable(ref(getStorage(), imagePath), sceneImageFile);
+      editedLevel.imagePath = imagePath;
+      sceneImageFile = null;
+    }
+
+    const firestore = getFirestore();
+    const batch = writeBatch(firestore);
+    batch.set(doc(firestore, "levels", editedLevel.id), {
+      name: editedLevel.name,
+      imagePath: editedLevel.imagePath,
+      width: sceneImageSize.width,
+      height: sceneImageSize.height,
+      difficulty: editedLevel.difficulty,
+      order: editedLevel.order,
+      characters: editedLevel.characters.map(({ id }) => id),
+      author: editedLevel.author,
+    });
+
+    const pointIds = new Set();
+    editedLevel.characters.forEach((character) => {
+      character.regions.forEach((region, index) => {
+        const pointId = `${editedLevel.id}-${toId(character.id)}-${index}`;
+        const center = getCenter({ region }, sceneImageSize);
+        pointIds.add(pointId);
+        batch.set(doc(firestore, "pointsOfInterest", pointId), {
+          levelId: editedLevel.id,
+          character: character.id,
+          x: center.x,
+          y: center.y,
+          region,
+        });
+      });
+    });
+
+    // Delete the points of interest the level no longer has.
+    const existingPoints = await getDocs(
+      query(
+        collection(firestore, "pointsOfInterest"),
+        where("levelId", "==", editedLevel.id)
+      )
+    );
+    existingPoints.docs
+      .filter((pointDoc) => !pointIds.has(pointDoc.id))
+      .forEach((pointDoc) => batch.delete(pointDoc.ref));
+
+    await batch.commit();
+    setStatus(`${editedLevel.name} has been published.`);
+    displayLevel();
+    displayLevelOptions(await onLevelPublished());
+    levelSelectElement.value = editedLevel.id;
+  } catch (error) {
+    console.error("Error publishing the level", error);
+    setStatus("Unable to publish the level.");
+  }
+}
+
+// Submits the edited scene for review by the admins.
+async function submitEditedScene() {
+  try {
+    setStatus("Submitting...");
+    const status = await submitScene(
+      {
+        name: editedLevel.name,
+        difficulty: editedLevel.difficulty,
+        width: sceneImageSize.width,
+        height: sceneImageSize.height,
+        characters: editedLevel.characters,
+      },
+      sceneImageFile
+    );
+    if (status === "rejected") {
+      setStatus("The scene image was flagged as inappropriate.");
+      return;
+    }
+    const name = editedLevel.name;
+    newLevel(0);
+    setStatus(`${name} has been submitted for review. Thanks!`);
+  } catch (error) {
+    console.error("Error submitting the scene", error);
+    setStatus(
+      error.code === "functions/invalid-argument"
+        ? error.message
+        : "Unable to submit the scene."
+    );
+  }
+}
+
+// Displays a message in the editor's status bar.
+function setStatus(message) {
+  editorStatusElement.textContent = message;
+}
+
+// Shortcuts to the editor's DOM Elements.
+var levelEditorElement = document.getElementById("level-editor");
+var editorTitleElement = document.getElementById("editor-title");
+var levelSelectElement = document.getElementById("editor-level-select");
+var levelIdElement = document.getElementById("editor-level-id");
+var levelNameElement = document.getElementById("editor-level-name");
+var levelDifficultyElement = document.getElementById("editor-level-difficulty");
+var levelOrderElement = document.getElementById("editor-level-order");
+var sceneImageInputElement = document.getElementById("editor-image");
+var characterFormElement = document.getElementById("editor-character-form");
+var characterNameElement = document.getElementById("editor-character-name");
+var characterSuggestionsElement = document.getElementById(
+  "editor-character-suggestions"
+);
+var characterListElement = document.getElementById("editor-characters");
+var finishPolygonButtonElement = document.getElementById(
+  "editor-finish-polygon"
+);
+var editorStatusElement = document.getElementById("editor-status");
+var publishButtonElement = document.getElementById("editor-publish");
+var closeButtonElement = document.getElementById("editor-close");
+var editorSceneElement = document.getElementById("editor-scene");
+var showHeatmapElement = document.getElementById("editor-show-heatmap");
+var levelStatsElement = document.getElementById("editor-level-stats");
+
+var regionOverlayElement = document.createElementNS(SVG_NAMESPACE, "svg");
+regionOverlayElement.setAttribute("class", "marker-overlay");
+regionOverlayElement.setAttribute("preserveAspectRatio", "xMidYMid slice");
+editorSceneElement.appendChild(regionOverlayElement);
+
+levelSelectElement.addEventListener("change", onLevelSelected);
+editorSceneElement.addEventListener("pointerdown", onScenePointerDown);
+editorSceneElement.addEventListener("pointermove", onScenePointerMove);
+editorSceneElement.addEventListener("pointerup", onScenePointerUp);
+characterFormElement.addEventListener("submit", onCharacterFormSubmit);
+sceneImageInputElement.addEventListener("change", onSceneImageSelected);
+finishPolygonButtonElement.addEventListener("click", finishPolygon);
+showHeatmapElement.addEventListener("change", displayRegions);
+publishButtonElement.addEventListener("click", publishLevel);
+closeButtonElement.addEventListener("click", closeLevelEditor);
@@ -0,0 +1,25 @@
+/**
+ * Access to the analytics of the Where's Wally levels, for admins.
+ *
+ * Each document of the `levelStats` collection aggregates the guesses made on
+ * a level over the last `days`, computed every night by the
+ * `aggregateLevelStats` function:
+ *
+ *   - `guesses`: the number of guesses.
+ *   - `heatmap`: the number of `guesses` and of `hits` in each cell of a grid
+ *     of `size` by `size` cells over the scene, stored row by row.
+ *   - `characters`: by character, the number of `guesses` and `misses`, the
+ *     `missRate` and the median time to find the character, in milliseconds
+ *     (`medianFindTime`).
+ *   - `difficultyScore`: the estimated difficulty of the level, from 0 to 100,
+ *     and `estimatedDifficulty`, the matching "easy", "medium" or "hard".
+ *   - `updatedAt`: when the stats were aggregated.
+ */
+import { getFirestore, doc, getDoc } from "firebase/firestore";
+
+// Loads the stats of the given level, or resolves with null if they weren't
+// aggregated yet.
+export async function loadLevelStats(levelId) {
+  const snapshot = await getDoc(doc(getFirestore(), "levelStats", levelId));
+  return snapshot.exists() ? snapshot.data() : null;
+}
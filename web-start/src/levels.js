@@ -0,0 +1,71 @@
+/**
+ * Access to the Where's Wally level catalogue.
+ *
+ * Each document of the `levels` collection describes one scene:
+ *
+ *   - `name`: display name of the scene.
+ *   - `imagePath`: path of the scene image in Cloud Storage.
+ *   - `width`, `height`: natural size of the scene image, in pixels.
+ *   - `difficulty`: one of "easy", "medium" or "hard".
+ *   - `order`: position of the level in the catalogue.
+ *   - `characters`: ids of the characters hidden in the scene, in the
+ *     `characters` catalogue.
+ *   - `author`: the `uid` and `name` of the player who submitted the scene, or
+ *     null for the scenes made by the admins.
+ *   - `tutorial`: true for the tutorial level, played by new players and not
+ *     listed with the other levels.
+ *
+ * The hit regions of the characters are stored in the `pointsOfInterest`
+ * collection, linked to their level by a `levelId` field. Clients can't read
+ * them: guesses are checked by the `checkGuess` callable function.
+ */
+import {
+  getFirestore,
+  collection,
+  query,
+  orderBy,
+  getDocs,
+  doc,
+  getDoc,
+} from "firebase/firestore";
+import { getStorage, ref, getDownloadURL } from "firebase/storage";
+
+// Id of the tutorial level.
+export const TUTORIAL_LEVEL_ID = "tutorial";
+
+// Loads the level catalogue, sorted by level order. The tutorial level isn't
+// part of the catalogue.
+export async function loadLevels() {
+  const levelsQuery = query(
+    collection(getFirestore(), "levels"),
+    orderBy("order")
+  );
+  const levelsSnapshot = await getDocs(levelsQuery);
+  return levelsSnapshot.docs
+    .map((doc) => ({ id: doc.id, ...doc.data() }))
+    .filter((level) => !level.tutorial);
+}
+
+// Loads the tutorial level, or resolves with null if there is none.
+export async function loadTutorialLevel() {
+  const snapshot = await getDoc(
+    doc(getFirestore(), "levels", TUTORIAL_LEVEL_ID)
+  );
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+// Returns a URL the scene image of the level can be downloaded from. The
+// levels of the offline pack come with the URL of their cached image.
+export async function getLevelImageUrl(level) {
+  if (level.imageUrl) {
+    return level.imageUrl;
+  }
+  return getDownloadURL(ref(getStorage(), level.imagePath));
+}
+
+// Returns the level following the given one in the catalogue, or null if it
+// is the last one.
+export function getNextLevel(levels, level) {
+  const index = levels.findIndex((candidate) => candidate.id === level.id);
+  return index !== -1 && index < levels.length - 1 ? levels[index + 1] : null;
+}
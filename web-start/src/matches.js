@@ -0,0 +1,103 @@
+/**
+ * Access to the Where's Wally races.
+ *
+ * Each document of the `matches` collection is a race between signed-in
+ * players on a level, managed by callable functions:
+ *
+ *   - `levelId`, `levelName`: the level raced on.
+ *   - `hostUid`: the player who opened the race, and can start it.
+ *   - `status`: `lobby` while players join, then `playing` and `finished`, or
+ *     `cancelled` if the host left the lobby.
+ *   - `players`: the players by uid, with their `name`, `profilePicUrl` and
+ *     the number of characters they found (`finds`).
+ *   - `claims`: the characters found, by name, with the `uid` and `name` of
+ *     the player who found them first and their position (`x`, `y`).
+ *   - `ranking`: the players ranked once the race is finished.
+ *   - `createdAt`, `startedAt`, `finishedAt`: when the race was opened,
+ *     started and finished.
+ */
+import {
+  getFirestore,
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+} from "firebase/firestore";
+import { getFunctions, httpsCallable } from "firebase/functions";
+
+// Number of open races listed in the lobby.
+const OPEN_MATCHES_LIMIT = 10;
+
+// Listens to the races waiting for players. The callback is called with the
+// list of races every time it changes. Returns a function that stops
+// listening.
+export function listenToOpenMatches(callback) {
+  const matchesQuery = query(
+    collection(getFirestore(), "matches"),
+    where("status", "==", "lobby"),
+    orderBy("createdAt", "desc"),
+    limit(OPEN_MATCHES_LIMIT)
+  );
+  return onSnapshot(
+    matchesQuery,
+    (snapshot) => {
+      callback(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+    },
+    (error) => {
+      console.error("Error listening to the open races", error);
+    }
+  );
+}
+
+// Listens to the given race. The callback is called with the race every time
+// it changes. Returns a function that stops listening.
+export function listenToMatch(matchId, callback) {
+  return onSnapshot(
+    doc(getFirestore(), "matches", matchId),
+    (snapshot) => {
+      callback({ id: snapshot.id, ...snapshot.data() });
+    },
+    (error) => {
+      console.error(`Error listening to race ${matchId}`, error);
+    }
+  );
+}
+
+// Opens a race on the given level. Resolves with the id of the race.
+export async function createMatch(levelId) {
+  const result = await httpsCallable(
+    getFunctions(),
+    "createMatch"
+  )({ levelId });
+  return result.data.matchId;
+}
+
+// Joins the given race.
+export async function joinMatch(matchId) {
+  await httpsCallable(getFunctions(), "joinMatch")({ matchId });
+}
+
+// Leaves the lobby of the given race.
+export async function leaveMatch(matchId) {
+  await httpsCallable(getFunctions(), "leaveMatch")({ matchId });
+}
+
+// Starts the given race, for its host.
+export async function startMatch(matchId) {
+  await httpsCallable(getFunctions(), "startMatch")({ matchId });
+}
+
+// Asks the server whether the character is at the given normalized image
+// coordinates of the race's level. Resolves with `hit`, the position of the
+// character if it was hit and whether this find `finished` the race, or with
+// `claimedBy` if another player found the character first.
+export async function checkMatchGuess(matchId, character, imagePoint) {
+  const result = await httpsCallable(
+    getFunctions(),
+    "checkMatchGuess"
+  )({ matchId, character, x: imagePoint.x, y: imagePoint.y });
+  return result.data;
+}
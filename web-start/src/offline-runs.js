@@ -0,0 +1,209 @@
+/**
+ * Offline play of the Where's Wally levels.
+ *
+ * Signed-in players can download an offline pack of a few levels of their
+ * choice, but today's daily challenge, kept in IndexedDB along with the runs
+ * played offline, while the scene images are kept in a cache also used by the
+ * service worker:
+ *
+ *   - `levels`: the levels of the pack, with the `points` of interest of their
+ *     characters and the `imageUrl` of their scene.
+ *   - `runs`: the completed runs waiting to be posted to the leaderboard, each
+ *     with its `runId`, the `uid` of the player, the `levelId` and the
+ *     `guesses` of the run, timed from its start (`at`, in milliseconds).
+ *
+ * Guesses made offline are checked on the device, so the pack reveals where
+ * the characters of its levels are to anyone inspecting the browser's storage.
+ * This is why packs are only downloaded when the player asks for them, for
+ * MAX_OFFLINE_LEVELS levels in total that can't be swapped for others, and why
+ * the runs played offline, posted by the `submitOfflineRun` callable function
+ * once back online, go to a separate, unranked leaderboard, like the runs
+ * played online on the downloaded levels.
+ */
+import { getFirestore, collection, doc } from "firebase/firestore";
+import { getFunctions, httpsCallable } from "firebase/functions";
+import { loadLevels, getLevelImageUrl } from "./levels.js";
+import { isHit, getCenter } from "wheres-wally-shared/hit-test.js";
+
+const DATABASE_NAME = "wheres-wally-offline";
+const DATABASE_VERSION = 1;
+
+// Maximum number of levels a player can download, in total, as checked by the
+// `getOfflinePack` function.
+export const MAX_OFFLINE_LEVELS = 3;
+
+// Cache of the scene images of the offline pack, served by the service worker.
+const SCENE_CACHE = "wheres-wally-offline-scenes";
+
+// Errors of the submitOfflineRun function meaning the run can never be
+// posted.
+const REJECTED_RUN_ERRORS = new Set([
+  "functions/invalid-argument",
+  "functions/not-found",
+  "functions/failed-precondition",
+]);
+
+// The database, once opened.
+let databasePromise = null;
+
+// Opens the database, creating its stores the first time.
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore("levels", { keyPath: "id" });
+        request.result.createObjectStore("runs", { keyPath: "runId" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+}
+
+// Runs `operation` on the given store in a transaction. Resolves with the
+// result of the request returned by `operation`, if any, once the
+// transaction is complete.
+async function runTransaction(storeName, mode, operation) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request && request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Downloads the offline pack of the levels with the given ids: the hit
+// regions of their characters, from the `getOfflinePack` function, and their
+// scene images. The levels downloaded before are kept, and can be downloaded
+// again. For signed-in players.
+export async function downloadOfflinePack(levelIds) {
+  const [levels, result] = await Promise.all([
+    loadLevels(),
+    httpsCallable(getFunctions(), "getOfflinePack")({ levelIds }),
+  ]);
+  const points = result.data.levels;
+  const cache = await caches.open(SCENE_CACHE);
+  const offlineLevels = await Promise.all(
+    levels
+      .filter((level) => points[level.id])
+      .map(async (level) => {
+        // The image is fetched again, in case the scene was replaced.
+        const imageUrl = await getLevelImageUrl(level);
+        await cache.add(imageUrl);
+        return { ...level, imageUrl, points: points[level.id] };
+      })
+  );
+  await runTransaction("levels", "readwrite", (store) => {
+    offlineLevels.forEach((level) => store.put(level));
+  });
+}
+
+// Loads the levels of the offline pack, sorted by level order.
+export async function loadOfflineLevels() {
+  const levels = await runTransaction("levels", "readonly", (store) =>
+    store.getAll()
+  );
+  return levels.sort((a, b) => a.order - b.order);
+}
+
+// Loads the level with the given id from the offline pack, or resolves with
+// undefined if it isn't part of it.
+export function loadOfflineLevel(levelId) {
+  return runTransaction("levels", "readonly", (store) => store.get(levelId));
+}
+
+// Starts an offline run of the given player.
+export function startOfflineRun(uid, level) {
+  return {
+    runId: doc(collection(getFirestore(), "gameSessions")).id,
+    uid,
+    levelId: level.id,
+    startedAt: Date.now(),
+    guesses: [],
+    completed: false,
+  };
+}
+
+// Checks whether the character of the offline pack level is at the given
+// normalized image coordinates, and records the guess in the run. Resolves
+// like the checkGuess function: with whether the guess is a `hit`, the
+// position of the character found, and whether the run is `completed` with
+// its `time`. Completed runs are queued to be posted.
+export async function checkOfflineGuess(run, level, character, imagePoint) {
+  const imageSize = { width: level.width, height: level.height };
+  const point = level.points.find(
+    (candidate) =>
+      candidate.character === character &&
+      isHit(candidate, imagePoint, imageSize)
+  );
+  const guess = {
+    at: Date.now() - run.startedAt,
+    x: imagePoint.x,
+    y: imagePoint.y,
+    character,
+    hit: !!point,
+  };
+  run.guesses.push(guess);
+  if (!point) {
+    return { hit: false };
+  }
+
+  const center = getCenter(point, imageSize);
+  run.completed = level.characters.every((name) =>
+    run.guesses.some(
+      (candidate) => candidate.hit && candidate.character === name
+    )
+  );
+  if (run.completed) {
+    const { runId, uid, levelId, guesses } = run;
+    await runTransaction("runs", "readwrite", (store) =>
+      store.put({ runId, uid, levelId, guesses })
+    );
+  }
+  return {
+    hit: true,
+    x: center.x,
+    y: center.y,
+    completed: run.completed,
+    time: guess.at,
+  };
+}
+
+// Counts the runs of the given player waiting to be posted.
+export async function countQueuedRuns(uid) {
+  const runs = await runTransaction("runs", "readonly", (store) =>
+    store.getAll()
+  );
+  return runs.filter((run) => run.uid === uid).length;
+}
+
+// Posts the queued runs of the given player to the offline leaderboard, one at
+// a time. Runs the server rejects are dropped. Resolves with the results of
+// the runs posted, like the checkGuess function's.
+export async function syncQueuedRuns(uid) {
+  const runs = await runTransaction("runs", "readonly", (store) =>
+    store.getAll()
+  );
+  const submitOfflineRun = httpsCallable(getFunctions(), "submitOfflineRun");
+  const results = [];
+  for (const run of runs.filter((candidate) => candidate.uid === uid)) {
+    try {
+      const { runId, levelId, guesses } = run;
+      const result = await submitOfflineRun({ runId, levelId, guesses });
+      results.push(result.data);
+    } catch (error) {
+      if (!REJECTED_RUN_ERRORS.has(error.code)) {
+        throw error;
+      }
+      console.error(`The offline run ${run.runId} was rejected`, error);
+    }
+    await runTransaction("runs", "readwrite", (store) =>
+      store.delete(run.runId)
+    );
+  }
+  return results;
+}
@@ -0,0 +1,36 @@
+/**
+ * Saves the progress of the level being played in local storage, so that a
+ * game can be resumed when the page is reloaded.
+ *
+ * The progress holds the `levelId`, `sessionId` and `sessionKey` of the game,
+ * the `startTime` of its clock and the `finds` made so far, each with the
+ * `character` and the normalized `x` and `y` coordinates of its marker, and
+ * the `hints` given, by character, with the region they highlight. For a daily
+ * challenge, `daily` is the day of the challenge.
+ */
+
+const PROGRESS_KEY = "wheres-wally-progress";
+
+// Returns the saved progress, or null if there is none.
+export function loadProgress() {
+  try {
+    return JSON.parse(localStorage.getItem(PROGRESS_KEY));
+  } catch (error) {
+    console.error("Unable to read the saved game progress", error);
+    return null;
+  }
+}
+
+// Saves the progress of the level being played.
+export function saveProgress(progress) {
+  try {
+    localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+  } catch (error) {
+    console.error("Unable to save the game progress", error);
+  }
+}
+
+// Forgets the saved progress, once the level is completed or left.
+export function clearProgress() {
+  localStorage.removeItem(PROGRESS_KEY);
+}
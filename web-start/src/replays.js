@@ -0,0 +1,52 @@
+/**
+ * Replays of the runs posted to the leaderboards.
+ *
+ * Each document of the `replays` collection has the id of the score of its
+ * run, and the fields of the score (`uid`, `name`, `time`, `penalty`) along
+ * with:
+ *
+ *   - `levelId`: the level played, and `daily`, the day of the daily challenge
+ *     for daily runs.
+ *   - `guesses`: the guesses of the run in order, each with the time it was
+ *     made (`at`, in milliseconds from the start of the run), its normalized
+ *     `x` and `y` coordinates, the `character` picked and whether it was a
+ *     `hit`.
+ *   - `flagged`: whether the run was flagged as suspicious. Only admins can
+ *     read the replays of flagged runs.
+ *   - `availableAt`: when the replay can be watched: once the run is
+ *     completed, or for daily runs, once the day is over, as they show where
+ *     the characters of the daily challenge are.
+ *
+ * Replays are recorded by the `checkGuess` callable function.
+ */
+import { getFirestore, doc, getDoc } from "firebase/firestore";
+
+// Loads the replay of the run with the given score id, or resolves with null
+// if there is none.
+export async function loadReplay(scoreId) {
+  const snapshot = await getDoc(doc(getFirestore(), "replays", scoreId));
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+// Plays the guesses of a replay, `speed` times faster than they were made.
+// `onTick` is called on every frame with the time elapsed in the run,
+// `onGuess` with each guess when it is reached and `onEnd` once the last guess
+// is reached. Returns a function that stops the replay.
+export function playReplay(guesses, speed, onTick, onGuess, onEnd) {
+  const startTime = performance.now();
+  let next = 0;
+  let frame = requestAnimationFrame(function step(now) {
+    const elapsed = (now - startTime) * speed;
+    while (next < guesses.length && guesses[next].at <= elapsed) {
+      onGuess(guesses[next]);
+      next++;
+    }
+    if (next === guesses.length) {
+      onEnd();
+      return;
+    }
+    onTick(elapsed);
+    frame = requestAnimationFrame(step);
+  });
+  return () => cancelAnimationFrame(frame);
+}
@@ -0,0 +1,40 @@
+/**
+ * Sharing of the results of completed runs.
+ *
+ * Each document of the `results` collection is a run shared by its player,
+ * created by the `shareResult` callable function with the `time` and `rank`
+ * of the run, the level played and the names of the characters found
+ * (`finds`), but not where they are. Its link, `/r/{resultId}`, is served by
+ * the `resultCard` function: a page whose meta tags unfurl the link into a
+ * card showing the scene, the characters found and the time of the run. The
+ * links are made by the server on the configured origin of the app, which may
+ * not be the origin the app is currently served from.
+ */
+import { getFunctions, httpsCallable } from "firebase/functions";
+
+// Shares the completed run of the given game session. Resolves with the URL
+// of the shared result.
+export async function shareResult(sessionId) {
+  const result = await httpsCallable(
+    getFunctions(),
+    "shareResult"
+  )({ sessionId });
+  return result.data.url;
+}
+
+// Returns the URL of the page of a shared result, on the current origin.
+export function getResultUrl(resultId) {
+  return `${location.origin}/r/${resultId}`;
+}
+
+// Returns the URL of the card image of a shared result.
+export function getResultCardUrl(resultId) {
+  return `${getResultUrl(resultId)}/card.png`;
+}
+
+// Returns the id of the shared result linked to in the text, or null if there
+// is none. The link may be on any origin the app is served from.
+export function findResultId(text) {
+  const match = text.match(/\bhttps?:\/\/[^\s/]+\/r\/([A-Za-z0-9]+)/);
+  return match ? match[1] : null;
+}
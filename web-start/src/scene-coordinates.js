@@ -0,0 +1,88 @@
+/**
+ * Helpers to convert between screen coordinates and scene image coordinates.
+ *
+ * Points of interest are stored in normalized image coordinates: `x` and `y`
+ * are fractions (0–1) of the natural width and height of the scene image, so
+ * they stay valid whatever the size of the screen the game is played on.
+ */
+
+// Loads the image at the given URL and resolves with its natural size.
+export function loadImageSize(imageUrl) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.addEventListener("load", () => {
+      resolve({ width: image.naturalWidth, height: image.naturalHeight });
+    });
+    image.addEventListener("error", () => {
+      reject(new Error(`Unable to load scene image ${imageUrl}`));
+    });
+    image.src = imageUrl;
+  });
+}
+
+// Returns the scale and offset (in CSS pixels) of an image rendered with
+// `background-size: cover` and `background-position: center` in a box.
+export function getCoverTransform(boxWidth, boxHeight, imageSize) {
+  const scale = Math.max(
+    boxWidth / imageSize.width,
+    boxHeight / imageSize.height
+  );
+  return {
+    scale,
+    offsetX: (boxWidth - imageSize.width * scale) / 2,
+    offsetY: (boxHeight - imageSize.height * scale) / 2,
+  };
+}
+
+// Returns the on-screen scale of the element, which differs from 1 when it
+// (or one of its ancestors) is transformed or zoomed through CSS.
+function getElementScale(element, rect) {
+  return {
+    x: element.offsetWidth ? rect.width / element.offsetWidth : 1,
+    y: element.offsetHeight ? rect.height / element.offsetHeight : 1,
+  };
+}
+
+// Converts viewport coordinates (e.g. a MouseEvent's clientX/clientY) into
+// normalized image coordinates for a scene rendered as the element's cover
+// background. Returns null if the point falls outside the visible image.
+export function clientToImagePoint(clientX, clientY, element, imageSize) {
+  // getBoundingClientRect() is relative to the viewport, like clientX/Y, so
+  // page scrolling cancels out.
+  const rect = element.getBoundingClientRect();
+  const elementScale = getElementScale(element, rect);
+  const boxX = (clientX - rect.left) / elementScale.x - element.clientLeft;
+  const boxY = (clientY - rect.top) / elementScale.y - element.clientTop;
+
+  const { scale, offsetX, offsetY } = getCoverTransform(
+    element.clientWidth,
+    element.clientHeight,
+    imageSize
+  );
+  const x = (boxX - offsetX) / scale / imageSize.width;
+  const y = (boxY - offsetY) / scale / imageSize.height;
+
+  if (x < 0 || x > 1 || y < 0 || y > 1) {
+    return null;
+  }
+  return { x, y };
+}
+
+// Converts normalized image coordinates into viewport coordinates for a scene
+// rendered as the element's cover background.
+export function imageToClientPoint(x, y, element, imageSize) {
+  const rect = element.getBoundingClientRect();
+  const elementScale = getElementScale(element, rect);
+  const { scale, offsetX, offsetY } = getCoverTransform(
+    element.clientWidth,
+    element.clientHeight,
+    imageSize
+  );
+  const boxX = offsetX + x * imageSize.width * scale;
+  const boxY = offsetY + y * imageSize.height * scale;
+
+  return {
+    x: rect.left + (boxX + element.clientLeft) * elementScale.x,
+    y: rect.top + (boxY + element.clientTop) * elementScale.y,
+  };
+}
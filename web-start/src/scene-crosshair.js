@@ -0,0 +1,80 @@
+/**
+ * Crosshair moved over the scene with the keyboard, so that the game can be
+ * played without a mouse.
+ *
+ * Like the found markers, the crosshair is drawn on an SVG overlay scaled and
+ * cropped like the scene image, and its position is kept in normalized image
+ * coordinates.
+ */
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Size of the crosshair, as a fraction of the natural image width.
+const CROSSHAIR_SIZE = 0.03;
+
+// Position of the crosshair, in normalized image coordinates.
+let crosshairPoint = { x: 0.5, y: 0.5 };
+
+// Creates the crosshair overlay and adds it to the scene element.
+export function createCrosshair(sceneElement) {
+  const overlay = document.createElementNS(SVG_NAMESPACE, "svg");
+  overlay.setAttribute("class", "crosshair-overlay");
+  overlay.setAttribute("preserveAspectRatio", "xMidYMid slice");
+  overlay.setAttribute("aria-hidden", "true");
+
+  const crosshair = document.createElementNS(SVG_NAMESPACE, "g");
+  crosshair.setAttribute("class", "crosshair");
+  ["circle", "line", "line"].forEach((tagName) => {
+    crosshair.appendChild(document.createElementNS(SVG_NAMESPACE, tagName));
+  });
+  overlay.appendChild(crosshair);
+
+  sceneElement.appendChild(overlay);
+  return overlay;
+}
+
+// Matches the crosshair overlay to the given scene image and centers the
+// crosshair.
+export function resetCrosshair(overlay, imageSize) {
+  overlay.setAttribute("viewBox", `0 0 ${imageSize.width} ${imageSize.height}`);
+  crosshairPoint = { x: 0.5, y: 0.5 };
+  drawCrosshair(overlay);
+}
+
+// Moves the crosshair by the given normalized offsets, keeping it inside the
+// image. Returns its new position.
+export function moveCrosshair(overlay, dx, dy) {
+  crosshairPoint = {
+    x: Math.min(1, Math.max(0, crosshairPoint.x + dx)),
+    y: Math.min(1, Math.max(0, crosshairPoint.y + dy)),
+  };
+  drawCrosshair(overlay);
+  return crosshairPoint;
+}
+
+// Returns the position of the crosshair, in normalized image coordinates.
+export function getCrosshairPoint() {
+  return crosshairPoint;
+}
+
+// Draws the crosshair at its position.
+function drawCrosshair(overlay) {
+  const viewBox = overlay.viewBox.baseVal;
+  const x = crosshairPoint.x * viewBox.width;
+  const y = crosshairPoint.y * viewBox.height;
+  const size = CROSSHAIR_SIZE * viewBox.width;
+  const [circle, horizontal, vertical] =
+    overlay.querySelector(".crosshair").children;
+
+  circle.setAttribute("cx", x);
+  circle.setAttribute("cy", y);
+  circle.setAttribute("r", size / 2);
+  horizontal.setAttribute("x1", x - size);
+  horizontal.setAttribute("x2", x + size);
+  horizontal.setAttribute("y1", y);
+  horizontal.setAttribute("y2", y);
+  vertical.setAttribute("x1", x);
+  vertical.setAttribute("x2", x);
+  vertical.setAttribute("y1", y - size);
+  vertical.setAttribute("y2", y + size);
+}
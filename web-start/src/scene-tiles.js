@@ -0,0 +1,152 @@
+/**
+ * Deep-zoom display of the scene images from their tiles.
+ *
+ * The `generateSceneTiles` function cuts the scene images uploaded to Cloud
+ * Storage into a tile pyramid, described in a `sceneTiles/{levelId}`
+ * document:
+ *
+ *   - `imagePath`: path of the scene image the tiles were cut from.
+ *   - `bucket`, `tilesPath`: where the tiles are stored in Cloud Storage.
+ *   - `width`, `height`: natural size of the scene image, in pixels.
+ *   - `tileSize`, `maxZoomLevel`: the size of the tiles and the zoom level of
+ *     the full resolution image. The pyramid is laid out by the shared
+ *     tiles.js module.
+ *
+ * The scene is displayed from the single tile of zoom level 0 while the tiles
+ * in view are loaded, at the zoom level matching the size of the scene on
+ * screen. Tiles scrolled out of view are dropped.
+ */
+import { getFirestore, doc, getDoc } from "firebase/firestore";
+import {
+  getTilePyramid,
+  getTilePath,
+  getZoomLevelForWidth,
+} from "wheres-wally-shared/tiles.js";
+
+let viewportElement = null;
+let layerElement = null;
+// The tiles of the scene displayed, and the levels of its pyramid.
+let sceneTiles = null;
+let pyramid = null;
+// The tile images displayed, by tile path.
+const tileElements = new Map();
+
+// Loads the tiles of the level's scene image, or resolves with null if the
+// image wasn't cut into tiles yet. The levels of the offline pack are
+// displayed from their cached image.
+export async function loadSceneTiles(level) {
+  if (level.imageUrl) {
+    return null;
+  }
+  const snapshot = await getDoc(doc(getFirestore(), "sceneTiles", level.id));
+  if (!snapshot.exists() || snapshot.get("imagePath") !== level.imagePath) {
+    return null;
+  }
+  return snapshot.data();
+}
+
+// Returns the URL of a tile. The Storage rules let anyone read the tiles under
+// `levels/{levelId}/tiles/`, so they are downloaded without a token.
+export function getTileUrl(tiles, zoomLevel, column, row) {
+  const tilePath = getTilePath(tiles.tilesPath, zoomLevel, column, row);
+  return `https://firebasestorage.googleapis.com/v0/b/${
+    tiles.bucket
+  }/o/${encodeURIComponent(tilePath)}?alt=media`;
+}
+
+// Sets up the layer of tiles at the bottom of the scene content, displayed in
+// the given viewport.
+export function initSceneTiles(viewport, content) {
+  viewportElement = viewport;
+  layerElement = document.createElement("div");
+  layerElement.className = "scene-tiles";
+  content.prepend(layerElement);
+}
+
+// Displays the scene from the given tiles, or removes the tiles displayed if
+// `tiles` is null.
+export function setSceneTiles(tiles) {
+  sceneTiles = tiles;
+  pyramid = tiles
+    ? getTilePyramid(tiles.width, tiles.height, tiles.tileSize)
+    : null;
+  tileElements.forEach((element) => element.remove());
+  tileElements.clear();
+  updateSceneTiles();
+}
+
+// Loads the tiles in view at the zoom level matching the size of the scene on
+// screen, and removes the others. Called whenever the viewport is zoomed or
+// panned.
+export function updateSceneTiles() {
+  if (!sceneTiles) {
+    return;
+  }
+  const layerRect = layerElement.getBoundingClientRect();
+  const viewportRect = viewportElement.getBoundingClientRect();
+  if (layerRect.width === 0) {
+    return;
+  }
+  const level =
+    pyramid[
+      getZoomLevelForWidth(pyramid, layerRect.width * window.devicePixelRatio)
+    ];
+  // Part of the scene in view, in normalized image coordinates.
+  const left = (viewportRect.left - layerRect.left) / layerRect.width;
+  const right = (viewportRect.right - layerRect.left) / layerRect.width;
+  const top = (viewportRect.top - layerRect.top) / layerRect.height;
+  const bottom = (viewportRect.bottom - layerRect.top) / layerRect.height;
+  const tileWidth = sceneTiles.tileSize / level.width;
+  const tileHeight = sceneTiles.tileSize / level.height;
+
+  const visibleTiles = new Set();
+  const lastColumn = Math.min(level.columns, Math.ceil(right / tileWidth));
+  const lastRow = Math.min(level.rows, Math.ceil(bottom / tileHeight));
+  for (
+    let column = Math.max(0, Math.floor(left / tileWidth));
+    column < lastColumn;
+    column++
+  ) {
+    for (
+      let row = Math.max(0, Math.floor(top / tileHeight));
+      row < lastRow;
+      row++
+    ) {
+      const tilePath = getTilePath(
+        sceneTiles.tilesPath,
+        level.zoomLevel,
+        column,
+        row
+      );
+      visibleTiles.add(tilePath);
+      if (!tileElements.has(tilePath)) {
+        tileElements.set(tilePath, createTile(level, column, row));
+      }
+    }
+  }
+  tileElements.forEach((element, tilePath) => {
+    if (!visibleTiles.has(tilePath)) {
+      element.remove();
+      tileElements.delete(tilePath);
+    }
+  });
+}
+
+// Adds the image of a tile to the layer, positioned relative to the scene.
+function createTile(level, column, row) {
+  const { tileSize } = sceneTiles;
+  const tile = document.createElement("img");
+  tile.alt = "";
+  tile.draggable = false;
+  tile.src = getTileUrl(sceneTiles, level.zoomLevel, column, row);
+  tile.style.left = `${((column * tileSize) / level.width) * 100}%`;
+  tile.style.top = `${((row * tileSize) / level.height) * 100}%`;
+  tile.style.width = `${
+    (Math.min(tileSize, level.width - column * tileSize) / level.width) * 100
+  }%`;
+  tile.style.height = `${
+    (Math.min(tileSize, level.height - row * tileSize) / level.height) * 100
+  }%`;
+  layerElement.appendChild(tile);
+  return tile;
+}
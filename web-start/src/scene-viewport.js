@@ -0,0 +1,349 @@
+/**
+ * Zoomable and pannable viewport around the scene.
+ *
+ * The scene content (the image and its overlays) is sized to the aspect ratio
+ * of the image and fitted whole in the viewport; zooming and panning apply a
+ * CSS transform to it. As the mapping in scene-coordinates.js works from the
+ * on-screen box of the content, clicks map to the right image coordinates at
+ * any zoom level.
+ *
+ * The viewport is zoomed with the mouse wheel, by pinching, by double-tapping
+ * or double-clicking, and with the zoom buttons; it is panned by dragging or
+ * from the minimap, which shows the visible part of the scene while zoomed in.
+ * As a tap may be the first of a double tap, its click only reaches the scene
+ * once the double-tap delay is over.
+ */
+
+// Zoom limits, relative to the scene fitted in the viewport.
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+// Zoom factor of the zoom buttons and of double taps.
+const ZOOM_STEP = 2;
+// Distance in pixels a pointer moves before a press becomes a drag.
+const DRAG_THRESHOLD = 5;
+// Maximum delay in milliseconds and distance in pixels between double taps.
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_DISTANCE = 20;
+
+let viewportElement = null;
+let contentElement = null;
+let minimapElement = null;
+let minimapViewElement = null;
+let imageSize = null;
+// Called when the viewport is zoomed or panned.
+let onViewportChange = null;
+
+// Size of the scene fitted in the viewport, and the current transform.
+let baseWidth = 0;
+let baseHeight = 0;
+let zoom = 1;
+let translateX = 0;
+let translateY = 0;
+
+// Pointers pressed on the viewport, by id, with their last position.
+const pointers = new Map();
+let dragStart = null;
+let dragged = false;
+// Whether the click ending the current press must be ignored, as the press
+// panned or zoomed the viewport.
+let ignoreClick = false;
+let pinchDistance = null;
+let lastTap = null;
+// Click of the last tap, held until the double-tap delay is over, with the
+// timer releasing it to the scene.
+let pendingClick = null;
+let releasingClick = false;
+
+// Sets up the viewport. `viewport` clips the scene `content`, the minimap
+// shows the visible part of the scene. `onChange` is called whenever the
+// viewport is zoomed or panned.
+export function initSceneViewport(viewport, content, minimap, onChange) {
+  viewportElement = viewport;
+  contentElement = content;
+  minimapElement = minimap;
+  minimapViewElement = minimap.querySelector(".scene-minimap__view");
+  onViewportChange = onChange;
+
+  viewportElement.addEventListener("wheel", onWheel, { passive: false });
+  viewportElement.addEventListener("pointerdown", onPointerDown);
+  viewportElement.addEventListener("pointermove", onPointerMove);
+  viewportElement.addEventListener("pointerup", onPointerUp);
+  viewportElement.addEventListener("pointercancel", onPointerUp);
+  // Clicks ending a drag or a double tap must not be taken as guesses, and
+  // taps only once they can't be the first of a double tap.
+  viewportElement.addEventListener("click", onClickCapture, true);
+  minimapElement.addEventListener("pointerdown", onMinimapPointerDown);
+  new ResizeObserver(fitContent).observe(viewportElement);
+}
+
+// Displays the given scene image, fitted whole in the viewport.
+export function setViewportImage(imageUrl, size) {
+  imageSize = size;
+  minimapElement.style.backgroundImage = `url(${imageUrl})`;
+  minimapElement.style.aspectRatio = `${size.width} / ${size.height}`;
+  zoom = MIN_ZOOM;
+  fitContent();
+}
+
+// Zooms in around the center of the viewport.
+export function zoomIn() {
+  zoomBy(ZOOM_STEP);
+}
+
+// Zooms out around the center of the viewport.
+export function zoomOut() {
+  zoomBy(1 / ZOOM_STEP);
+}
+
+// Zooms back out to the whole scene.
+export function resetZoom() {
+  zoom = MIN_ZOOM;
+  applyTransform();
+}
+
+// Pans the viewport so that the given normalized image coordinates are
+// visible, if they aren't already.
+export function panToImagePoint(x, y) {
+  const rect = viewportElement.getBoundingClientRect();
+  const contentX = translateX + x * baseWidth * zoom;
+  const contentY = translateY + y * baseHeight * zoom;
+  if (
+    contentX >= 0 &&
+    contentX <= rect.width &&
+    contentY >= 0 &&
+    contentY <= rect.height
+  ) {
+    return;
+  }
+  panTo(x, y);
+}
+
+// Sizes the scene content to fit whole in the viewport.
+function fitContent() {
+  if (!imageSize || viewportElement.clientWidth === 0) {
+    return;
+  }
+  const scale = Math.min(
+    viewportElement.clientWidth / imageSize.width,
+    viewportElement.clientHeight / imageSize.height
+  );
+  baseWidth = imageSize.width * scale;
+  baseHeight = imageSize.height * scale;
+  contentElement.style.width = baseWidth + "px";
+  contentElement.style.height = baseHeight + "px";
+  if (zoom === MIN_ZOOM) {
+    translateX = (viewportElement.clientWidth - baseWidth) / 2;
+    translateY = (viewportElement.clientHeight - baseHeight) / 2;
+  }
+  applyTransform();
+}
+
+// Zooms by the given factor, keeping the given viewport coordinates in place.
+// Zooms around the center of the viewport if no coordinates are given.
+function zoomBy(factor, clientX, clientY) {
+  const rect = viewportElement.getBoundingClientRect();
+  const originX = clientX === undefined ? rect.width / 2 : clientX - rect.left;
+  const originY = clientY === undefined ? rect.height / 2 : clientY - rect.top;
+  const newZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom * factor));
+  const ratio = newZoom / zoom;
+  translateX = originX - (originX - translateX) * ratio;
+  translateY = originY - (originY - translateY) * ratio;
+  zoom = newZoom;
+  applyTransform();
+}
+
+// Keeps the scene within the viewport and applies the transform.
+function applyTransform() {
+  const viewportWidth = viewportElement.clientWidth;
+  const viewportHeight = viewportElement.clientHeight;
+  translateX = clampTranslation(translateX, baseWidth * zoom, viewportWidth);
+  translateY = clampTranslation(translateY, baseHeight * zoom, viewportHeight);
+  contentElement.style.transform = `translate(${translateX}px, ${translateY}px) scale(${zoom})`;
+  // The held click would no longer point at the same part of the scene.
+  cancelPendingClick();
+  updateMinimap(viewportWidth, viewportHeight);
+  if (onViewportChange) {
+    onViewportChange();
+  }
+}
+
+// Centers the scene if it is smaller than the viewport, or else keeps it
+// covering the viewport.
+function clampTranslation(translation, contentSize, viewportSize) {
+  if (contentSize <= viewportSize) {
+    return (viewportSize - contentSize) / 2;
+  }
+  return Math.min(0, Math.max(viewportSize - contentSize, translation));
+}
+
+// Frames the visible part of the scene on the minimap, shown while zoomed in.
+function updateMinimap(viewportWidth, viewportHeight) {
+  if (zoom === MIN_ZOOM) {
+    minimapElement.setAttribute("hidden", "true");
+    return;
+  }
+  minimapElement.removeAttribute("hidden");
+  const contentWidth = baseWidth * zoom;
+  const contentHeight = baseHeight * zoom;
+  const left = Math.max(0, -translateX / contentWidth);
+  const top = Math.max(0, -translateY / contentHeight);
+  const width = Math.min(1, viewportWidth / contentWidth);
+  const height = Math.min(1, viewportHeight / contentHeight);
+  minimapViewElement.style.left = left * 100 + "%";
+  minimapViewElement.style.top = top * 100 + "%";
+  minimapViewElement.style.width = width * 100 + "%";
+  minimapViewElement.style.height = height * 100 + "%";
+}
+
+// Zooms with the mouse wheel, around the cursor.
+function onWheel(event) {
+  if (!imageSize) {
+    return;
+  }
+  event.preventDefault();
+  zoomBy(Math.exp(-event.deltaY * 0.002), event.clientX, event.clientY);
+}
+
+// Starts dragging, or pinching when a second pointer is pressed.
+function onPointerDown(event) {
+  // The minimap and the zoom buttons handle their own presses.
+  if (!imageSize || event.target.closest(".scene-controls")) {
+    return;
+  }
+  pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+  if (pointers.size === 1) {
+    dragStart = { x: event.clientX, y: event.clientY };
+    dragged = false;
+    ignoreClick = false;
+  } else if (pointers.size === 2) {
+    pinchDistance = getPinchDistance();
+    dragged = true;
+    ignoreClick = true;
+  }
+}
+
+// Pans the viewport while dragging, zooms it while pinching.
+function onPointerMove(event) {
+  const previous = pointers.get(event.pointerId);
+  if (!previous) {
+    return;
+  }
+  const current = { x: event.clientX, y: event.clientY };
+  pointers.set(event.pointerId, current);
+
+  if (pointers.size === 2) {
+    const distance = getPinchDistance();
+    const center = getPinchCenter();
+    zoomBy(distance / pinchDistance, center.x, center.y);
+    pinchDistance = distance;
+    return;
+  }
+  if (
+    !dragged &&
+    Math.hypot(current.x - dragStart.x, current.y - dragStart.y) <
+      DRAG_THRESHOLD
+  ) {
+    return;
+  }
+  if (!dragged) {
+    dragged = true;
+    ignoreClick = true;
+    viewportElement.setPointerCapture(event.pointerId);
+  }
+  translateX += current.x - previous.x;
+  translateY += current.y - previous.y;
+  applyTransform();
+}
+
+// Ends dragging or pinching, and zooms on double taps.
+function onPointerUp(event) {
+  if (!pointers.delete(event.pointerId)) {
+    return;
+  }
+  if (pointers.size === 1) {
+    pinchDistance = null;
+    return;
+  }
+  if (pointers.size > 0 || dragged || event.type === "pointercancel") {
+    return;
+  }
+
+  const now = Date.now();
+  if (
+    lastTap &&
+    now - lastTap.time < DOUBLE_TAP_DELAY &&
+    Math.hypot(event.clientX - lastTap.x, event.clientY - lastTap.y) <
+      DOUBLE_TAP_DISTANCE
+  ) {
+    lastTap = null;
+    ignoreClick = true;
+    cancelPendingClick();
+    if (zoom >= MAX_ZOOM) {
+      resetZoom();
+    } else {
+      zoomBy(ZOOM_STEP, event.clientX, event.clientY);
+    }
+    return;
+  }
+  lastTap = { time: now, x: event.clientX, y: event.clientY };
+}
+
+// Stops the clicks ending a drag, a pinch or a double tap before they reach
+// the scene, and holds the clicks of taps until the double-tap delay is over.
+// The minimap and the zoom buttons get their clicks right away.
+function onClickCapture(event) {
+  if (releasingClick || event.target.closest(".scene-controls")) {
+    return;
+  }
+  event.stopPropagation();
+  if (ignoreClick) {
+    ignoreClick = false;
+    return;
+  }
+  cancelPendingClick();
+  const { target, clientX, clientY } = event;
+  pendingClick = setTimeout(() => {
+    pendingClick = null;
+    releasingClick = true;
+    target.dispatchEvent(
+      new MouseEvent("click", { bubbles: true, clientX, clientY })
+    );
+    releasingClick = false;
+  }, DOUBLE_TAP_DELAY);
+}
+
+// Drops the click of the last tap, if it is still held.
+function cancelPendingClick() {
+  if (pendingClick) {
+    clearTimeout(pendingClick);
+    pendingClick = null;
+  }
+}
+
+// Centers the viewport on the point of the minimap that was pressed.
+function onMinimapPointerDown(event) {
+  const rect = minimapElement.getBoundingClientRect();
+  panTo(
+    (event.clientX - rect.left) / rect.width,
+    (event.clientY - rect.top) / rect.height
+  );
+}
+
+// Centers the viewport on the given normalized image coordinates.
+function panTo(x, y) {
+  translateX = viewportElement.clientWidth / 2 - x * baseWidth * zoom;
+  translateY = viewportElement.clientHeight / 2 - y * baseHeight * zoom;
+  applyTransform();
+}
+
+// Returns the distance between the two pointers of a pinch.
+function getPinchDistance() {
+  const [a, b] = Array.from(pointers.values());
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Returns the center of the two pointers of a pinch.
+function getPinchCenter() {
+  const [a, b] = Array.from(pointers.values());
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
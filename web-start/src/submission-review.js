@@ -0,0 +1,182 @@
+/**
+ * Review queue of the scenes submitted by players, used by admins.
+ *
+ * The scenes waiting for review are listed with their image and the hit
+ * regions of their characters. Approving a scene publishes it to the level
+ * catalogue with its author credited; rejecting it tells the author why.
+ */
+import {
+  listenToPendingSubmissions,
+  getSubmissionImageUrl,
+  reviewSubmission,
+} from "./submissions.js";
+import { getCharacterName, findCharacterId } from "./characters.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+// Stops listening to the pending scenes.
+let unsubscribeSubmissions = null;
+// The function called once a scene is published, to refresh the catalogue.
+let onScenePublished = null;
+
+// Opens the review queue. `onPublished` is called once a scene is approved and
+// published to the level catalogue.
+export function openSubmissionReview(onPublished) {
+  onScenePublished = onPublished;
+  if (!unsubscribeSubmissions) {
+    unsubscribeSubmissions = listenToPendingSubmissions(displaySubmissions);
+  }
+  submissionReviewElement.removeAttribute("hidden");
+}
+
+// Closes the review queue.
+function closeSubmissionReview() {
+  if (unsubscribeSubmissions) {
+    unsubscribeSubmissions();
+    unsubscribeSubmissions = null;
+  }
+  submissionReviewElement.setAttribute("hidden", "true");
+}
+
+// Lists the scenes waiting for review.
+function displaySubmissions(submissions) {
+  submissionListElement.innerHTML = "";
+  if (submissions.length === 0) {
+    const item = document.createElement("li");
+    item.textContent = "No scene is waiting for review.";
+    submissionListElement.appendChild(item);
+    return;
+  }
+  submissions.forEach((submission) => {
+    submissionListElement.appendChild(createSubmissionItem(submission));
+  });
+}
+
+// Creates the list item of a scene waiting for review.
+function createSubmissionItem(submission) {
+  const item = document.createElement("li");
+  item.className = "submission";
+
+  const scene = document.createElement("div");
+  scene.className = "submission-scene";
+  scene.style.aspectRatio = `${submission.width} / ${submission.height}`;
+  scene.appendChild(createRegionOverlay(submission));
+  getSubmissionImageUrl(submission).then(
+    (imageUrl) => {
+      scene.style.backgroundImage = `url(${imageUrl})`;
+    },
+    (error) => {
+      console.error(`Error loading the image of ${submission.id}`, error);
+    }
+  );
+  item.appendChild(scene);
+
+  const details = document.createElement("p");
+  details.textContent = `${submission.name} (${submission.difficulty}) by ${submission.authorName}`;
+  item.appendChild(details);
+
+  const characters = document.createElement("p");
+  characters.textContent = submission.characters
+    .map(
+      ({ id, name, regions }) =>
+        `${getCharacterName(id || findCharacterId(name) || name)} (${
+          regions.length
+        })`
+    )
+    .join(", ");
+  item.appendChild(characters);
+
+  const reason = document.createElement("input");
+  reason.type = "text";
+  reason.placeholder = "Reason for rejecting";
+  reason.maxLength = 300;
+  item.appendChild(reason);
+
+  const approve = document.createElement("button");
+  approve.className =
+    "mdl-button mdl-js-button mdl-button--raised mdl-button--colored";
+  approve.textContent = "Approve";
+  approve.addEventListener("click", () => review(submission, true, null));
+  item.appendChild(approve);
+
+  const reject = document.createElement("button");
+  reject.className = "mdl-button mdl-js-button";
+  reject.textContent = "Reject";
+  reject.addEventListener("click", () =>
+    review(submission, false, reason.value.trim() || null)
+  );
+  item.appendChild(reject);
+
+  return item;
+}
+
+// Draws the hit regions of the characters of a scene over its image.
+function createRegionOverlay(submission) {
+  const { width, height } = submission;
+  const overlay = document.createElementNS(SVG_NAMESPACE, "svg");
+  overlay.setAttribute("class", "marker-overlay");
+  overlay.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  submission.characters.forEach((character) => {
+    character.regions.forEach((region) => {
+      let shape;
+      if (region.type === "polygon") {
+        shape = document.createElementNS(SVG_NAMESPACE, "polygon");
+        shape.setAttribute(
+          "points",
+          region.points
+            .map((point) => `${point.x * width},${point.y * height}`)
+            .join(" ")
+        );
+      } else {
+        shape = document.createElementNS(SVG_NAMESPACE, "ellipse");
+        shape.setAttribute("cx", region.cx * width);
+        shape.setAttribute("cy", region.cy * height);
+        shape.setAttribute("rx", region.rx * width);
+        shape.setAttribute("ry", region.ry * height);
+      }
+      shape.classList.add("editor-region");
+      const title = document.createElementNS(SVG_NAMESPACE, "title");
+      title.textContent = getCharacterName(character.id);
+      shape.appendChild(title);
+      overlay.appendChild(shape);
+    });
+  });
+  return overlay;
+}
+
+// Approves or rejects a scene. The queue is updated by its listener.
+async function review(submission, approved, reason) {
+  try {
+    setStatus(approved ? "Publishing..." : "Rejecting...");
+    await reviewSubmission(submission.id, approved, reason);
+    setStatus(
+      approved
+        ? `${submission.name} has been published.`
+        : `${submission.name} has been rejected.`
+    );
+    if (approved) {
+      await onScenePublished();
+    }
+  } catch (error) {
+    console.error(`Error reviewing ${submission.id}`, error);
+    // The characters of old scenes may be missing from the catalogue.
+    setStatus(
+      error.code === "functions/failed-precondition"
+        ? error.message
+        : `Unable to review ${submission.name}.`
+    );
+  }
+}
+
+// Displays a message in the review queue's status bar.
+function setStatus(message) {
+  reviewStatusElement.textContent = message;
+}
+
+// Shortcuts to the review queue's DOM Elements.
+var submissionReviewElement = document.getElementById("submission-review");
+var submissionListElement = document.getElementById("submission-list");
+var reviewStatusElement = document.getElementById("review-status");
+var closeButtonElement = document.getElementById("close-review");
+
+closeButtonElement.addEventListener("click", closeSubmissionReview);
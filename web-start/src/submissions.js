@@ -0,0 +1,102 @@
+/**
+ * Access to the scenes submitted by players.
+ *
+ * Each document of the `submissions` collection is a scene drawn by a player
+ * in the level editor, with the fields of a level and its characters with
+ * their hit regions (`characters: [{ id, regions }]`, by the id of the
+ * character in the catalogue):
+ *
+ *   - `uid`, `authorName`: the player who submitted the scene.
+ *   - `imagePath`: path of the scene image in Cloud Storage, under
+ *     `submissions/{uid}/{submissionId}/`.
+ *   - `status`: `pending` while the scene waits for review, then `approved` or
+ *     `rejected`, with the `reason` of the rejection. Scenes flagged by
+ *     SafeSearch are rejected right away.
+ *   - `levelId`: the level published from the scene once approved.
+ *   - `createdAt`, `reviewedAt`: when the scene was submitted and reviewed.
+ *
+ * Submissions are written by the `submitScene` and `reviewSubmission`
+ * callable functions. Players can read their own submissions, admins can read
+ * all of them.
+ */
+import {
+  getFirestore,
+  collection,
+  doc,
+  query,
+  where,
+  orderBy,
+  getDocs,
+  onSnapshot,
+} from "firebase/firestore";
+import {
+  getStorage,
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+} from "firebase/storage";
+import { getAuth } from "firebase/auth";
+import { getFunctions, httpsCallable } from "firebase/functions";
+
+// Uploads the scene image, then submits the scene for review. Resolves with
+// the status of the submission: `pending`, or `rejected` if the image was
+// flagged by SafeSearch.
+export async function submitScene(scene, imageFile) {
+  const uid = getAuth().currentUser.uid;
+  const submissionId = doc(collection(getFirestore(), "submissions")).id;
+  const imagePath = `submissions/${uid}/${submissionId}/${imageFile.name}`;
+  await uploadBytesResumable(ref(getStorage(), imagePath), imageFile);
+
+  const result = await httpsCallable(
+    getFunctions(),
+    "submitScene"
+  )({ ...scene, submissionId, imagePath });
+  return result.data.status;
+}
+
+// Loads the scenes submitted by the given user, the latest first.
+export async function loadUserSubmissions(uid) {
+  const snapshot = await getDocs(
+    query(
+      collection(getFirestore(), "submissions"),
+      where("uid", "==", uid),
+      orderBy("createdAt", "desc")
+    )
+  );
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+// Listens to the scenes waiting for review, for admins. The callback is called
+// with the list of scenes every time it changes. Returns a function that stops
+// listening.
+export function listenToPendingSubmissions(callback) {
+  const submissionsQuery = query(
+    collection(getFirestore(), "submissions"),
+    where("status", "==", "pending"),
+    orderBy("createdAt")
+  );
+  return onSnapshot(
+    submissionsQuery,
+    (snapshot) => {
+      callback(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+    },
+    (error) => {
+      console.error("Error listening to the submitted scenes", error);
+    }
+  );
+}
+
+// Returns a URL the image of the submitted scene can be downloaded from.
+export function getSubmissionImageUrl(submission) {
+  return getDownloadURL(ref(getStorage(), submission.imagePath));
+}
+
+// Approves the submitted scene, publishing it to the level catalogue, or
+// rejects it for the given reason. For admins.
+export async function reviewSubmission(submissionId, approved, reason = null) {
+  const result = await httpsCallable(
+    getFunctions(),
+    "reviewSubmission"
+  )({ submissionId, approved, reason });
+  return result.data;
+}
@@ -0,0 +1,146 @@
+/**
+ * First-run tutorial of the game.
+ *
+ * New players play the tutorial level, a small scene with one easy character,
+ * while callouts explain how to guess. Once the tutorial is completed or
+ * skipped, it isn't offered again: signed-in players get a
+ * `tutorialCompletedAt` field on their `users/{uid}` document, written by the
+ * `checkGuess` and `skipTutorial` callable functions, and the browser
+ * remembers it for signed-out players.
+ */
+import { getFirestore, doc, getDoc } from "firebase/firestore";
+import { getAuth } from "firebase/auth";
+import { getFunctions, httpsCallable } from "firebase/functions";
+
+const TUTORIAL_KEY = "wheres-wally-tutorial-completed";
+
+// Margin kept between a callout and the element it points at, in pixels.
+const CALLOUT_MARGIN = 12;
+
+// The steps of the tutorial, with the text of their callout and the element
+// it points at.
+const TUTORIAL_STEPS = {
+  hud: {
+    text: "Welcome! The characters hidden in the scene are listed here, and the clock is ticking.",
+    target: () => document.getElementById("hud-characters"),
+    next: "guess",
+  },
+  guess: {
+    text: "Spot Wally in the scene, then click on him. Scroll or pinch to zoom in.",
+    target: () => document.getElementById("waldo-image"),
+  },
+  pick: {
+    text: "Now pick who you found from the list.",
+    target: () => document.querySelector(".character-picker"),
+  },
+  miss: {
+    text: "Not quite! Look for the red and white stripes, then click on him again.",
+    target: () => document.getElementById("waldo-image"),
+  },
+};
+
+// The function called when the player skips the tutorial.
+let onTutorialSkipped = null;
+// The step shown when the player is done with the current one, if any.
+let nextStepId = null;
+
+// Resolves with true if the player already completed or skipped the
+// tutorial.
+export async function hasCompletedTutorial() {
+  if (localStorage.getItem(TUTORIAL_KEY)) {
+    return true;
+  }
+  const user = getAuth().currentUser;
+  if (!user) {
+    return false;
+  }
+  try {
+    const snapshot = await getDoc(doc(getFirestore(), "users", user.uid));
+    return snapshot.exists() && !!snapshot.get("tutorialCompletedAt");
+  } catch (error) {
+    console.error("Unable to check whether the tutorial was completed", error);
+    return false;
+  }
+}
+
+// Remembers in the browser that the tutorial was completed. The user document
+// of signed-in players is updated by the `checkGuess` function.
+export function markTutorialCompleted() {
+  localStorage.setItem(TUTORIAL_KEY, "true");
+}
+
+// Shows the first step of the tutorial. `onSkip` is called if the player
+// skips it.
+export function startTutorial(onSkip) {
+  onTutorialSkipped = onSkip;
+  showTutorialStep("hud");
+}
+
+// Shows the callout of the given step of the tutorial.
+export function showTutorialStep(stepId) {
+  const step = TUTORIAL_STEPS[stepId];
+  const target = step.target();
+  if (!target) {
+    return;
+  }
+  calloutTextElement.textContent = step.text;
+  nextStepId = step.next || null;
+  if (nextStepId) {
+    calloutNextButtonElement.removeAttribute("hidden");
+  } else {
+    calloutNextButtonElement.setAttribute("hidden", "true");
+  }
+  calloutElement.removeAttribute("hidden");
+  placeCallout(target.getBoundingClientRect());
+}
+
+// Hides the callouts of the tutorial.
+export function hideTutorial() {
+  calloutElement.setAttribute("hidden", "true");
+}
+
+// Places the callout below the element it points at, or inside its top edge
+// if there is no room below it, keeping it within the viewport.
+function placeCallout(targetRect) {
+  const calloutRect = calloutElement.getBoundingClientRect();
+  let top = targetRect.bottom + CALLOUT_MARGIN;
+  if (top + calloutRect.height > window.innerHeight - CALLOUT_MARGIN) {
+    top = targetRect.top + CALLOUT_MARGIN;
+  }
+  const left = Math.min(
+    Math.max(
+      CALLOUT_MARGIN,
+      targetRect.left + (targetRect.width - calloutRect.width) / 2
+    ),
+    window.innerWidth - calloutRect.width - CALLOUT_MARGIN
+  );
+  calloutElement.style.top = `${top}px`;
+  calloutElement.style.left = `${left}px`;
+}
+
+// Skips the tutorial, so that it isn't offered again.
+async function skipTutorial() {
+  hideTutorial();
+  markTutorialCompleted();
+  if (onTutorialSkipped) {
+    onTutorialSkipped();
+  }
+  if (getAuth().currentUser) {
+    try {
+      await httpsCallable(getFunctions(), "skipTutorial")();
+    } catch (error) {
+      console.error("Unable to skip the tutorial", error);
+    }
+  }
+}
+
+// Shortcuts to the tutorial's DOM Elements.
+var calloutElement = document.getElementById("tutorial-callout");
+var calloutTextElement = document.getElementById("tutorial-callout-text");
+var calloutNextButtonElement = document.getElementById("tutorial-next");
+var calloutSkipButtonElement = document.getElementById("tutorial-skip");
+
+calloutNextButtonElement.addEventListener("click", () =>
+  showTutorialStep(nextStepId)
+);
+calloutSkipButtonElement.addEventListener("click", skipTutorial);
@@ -0,0 +1,67 @@
+/**
+ * Access to the game progress of the signed-in user.
+ *
+ * Each document of the `users/{uid}/progress` subcollection is the progress of
+ * the user on a level, kept up to date by the `checkGuess` and `getHint`
+ * callable functions:
+ *
+ *   - `levelId`: the level played.
+ *   - `guesses`, `misses`, `finds`: the number of guesses, missed guesses and
+ *     characters found.
+ *   - `hints`: the number of hints used.
+ *   - `completions`: the number of completed runs.
+ *   - `bestTime`: the best time of the completed runs, in milliseconds.
+ *   - `lastPlayedAt`: when the user last played the level.
+ *
+ * The `users/{uid}/badges` subcollection holds the achievements unlocked by
+ * the user, with their `name`, `description` and `unlockedAt` time.
+ */
+import {
+  getFirestore,
+  collection,
+  query,
+  orderBy,
+  getDocs,
+} from "firebase/firestore";
+
+// Loads the progress of the given user on each level they played.
+export async function loadUserProgress(uid) {
+  const snapshot = await getDocs(
+    collection(getFirestore(), "users", uid, "progress")
+  );
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+// Loads the badges of the achievements unlocked by the given user, in the
+// order they were unlocked.
+export async function loadUserBadges(uid) {
+  const snapshot = await getDocs(
+    query(
+      collection(getFirestore(), "users", uid, "badges"),
+      orderBy("unlockedAt")
+    )
+  );
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+// Sums up the progress of a user over all the levels they played.
+export function getProgressStats(progress) {
+  const stats = {
+    levelsCompleted: 0,
+    finds: 0,
+    guesses: 0,
+    misses: 0,
+    hints: 0,
+  };
+  progress.forEach((levelProgress) => {
+    if (levelProgress.completions > 0) {
+      stats.levelsCompleted++;
+    }
+    stats.finds += levelProgress.finds || 0;
+    stats.guesses += levelProgress.guesses || 0;
+    stats.misses += levelProgress.misses || 0;
+    stats.hints += levelProgress.hints || 0;
+  });
+  stats.missRatio = stats.guesses > 0 ? stats.misses / stats.guesses : 0;
+  return stats;
+}
@@ -2,6 +2,16 @@ const path = require("path");
 
 const rootConfig = {
   mode: "development",
+  resolve: {
+    alias: {
+      // Code shared with the Cloud Functions, like hit testing, so that the
+      // game and the server behave exactly alike.
+      "wheres-wally-shared": path.resolve(
+        __dirname,
+        "../cloud-functions/functions/shared"
+      ),
+    },
+  },
   optimization: {
     usedExports: true, // tells webpack to tree-shake
   },